@@ -1,118 +1,363 @@
 import {
   Activity,
+  AlertTriangle,
   ArrowDown,
   ArrowLeft,
+  ChevronLeft,
+  ChevronRight,
   Code,
+  FileCode,
+  FolderOpen,
   Image as ImageIcon,
   Layout,
   MessageSquare,
+  Save,
   Settings,
   Upload,
 } from "lucide-react";
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { ReactFlowProvider } from "reactflow";
+import CachedBadge from "./components/CachedBadge";
+import CancelButton from "./components/CancelButton";
 import ChatBuilder from "./components/ChatBuilder";
 import InfoPanel from "./components/InfoPanel";
 import MermaidDisplay from "./components/MermaidDisplay";
 import SettingsModal from "./components/SettingsModal";
+import SourceImage from "./components/SourceImage";
 import SystemDiagram from "./components/SystemDiagram";
 import ThemeToggle from "./components/ThemeToggle";
 import UploadZone from "./components/UploadZone";
+import UsageMenu from "./components/UsageMenu";
 import { SettingsProvider, useSettings } from "./context/SettingsContext";
+import { useToast } from "./hooks/useToast";
 import {
   convertMermaidToFlow,
-  generateMermaidFromImage,
+  generateMermaidFromImages,
 } from "./services/analysisService";
+import { importDrawio, isDrawioFile } from "./services/drawioService";
+import { describeError } from "./services/errors";
+import { isGroupNode } from "./services/groupService";
+import { layoutGraph } from "./services/layoutService";
+import { isAbortError, supportsImageInput } from "./services/llmService";
+import { serializeToMermaid } from "./services/mermaidSerializer";
+import {
+  openProject,
+  PROJECT_EXTENSION,
+  restoreImageUrls,
+  saveProject,
+} from "./services/projectService";
+import { getPromptStamps } from "./services/promptService";
+import { startDesign } from "./services/usageService";
 
 function AppContent() {
   // Mode: null = landing, 'upload' = image upload flow, 'chat' = chat builder flow
   const [mode, setMode] = useState(null);
   const [graphData, setGraphData] = useState(null);
   const [mermaidCode, setMermaidCode] = useState(null);
-  const [uploadedImageUrl, setUploadedImageUrl] = useState(null);
+  // One object URL per analyzed page; a single upload has one
+  const [imageUrls, setImageUrls] = useState([]);
+  const [visiblePage, setVisiblePage] = useState(0);
+  // {page, total} while a multi-page upload is analyzed
+  const [analysisProgress, setAnalysisProgress] = useState(null);
+  const uploadedImageUrl = imageUrls[0] || null;
+  const [importedFileName, setImportedFileName] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [isConverting, setIsConverting] = useState(false);
   const [selectedNode, setSelectedNode] = useState(null);
   const [designSummary, setDesignSummary] = useState(null);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [chatMessages, setChatMessages] = useState([]);
+  // Fixes the validator applied to AI output or an opened project
+  const [graphRepairs, setGraphRepairs] = useState([]);
+  // Bumped when a project is opened or the graph is regenerated, so the
+  // diagram and chat remount with the new state
+  const [projectKey, setProjectKey] = useState(0);
+  // Whether the current Mermaid code / graph came from the response cache
+  const [mermaidFromCache, setMermaidFromCache] = useState(false);
+  const [graphFromCache, setGraphFromCache] = useState(false);
+  // Prompt template versions that produced the current design, saved with the project
+  const [promptStamps, setPromptStamps] = useState({});
+
+  const { aiSettings, isConfigured, imagePreview, imageMaxSize } = useSettings();
+  const { showToast } = useToast();
+  // Self-hosted text-only models cannot analyze images
+  const canAnalyzeImages = supportsImageInput(aiSettings);
 
-  const { apiKey, provider } = useSettings();
+  // Shows a failure with its suggested next step: Settings, or `retry` when given
+  const reportError = useCallback(
+    (error, retry) => {
+      const { title, message, action } = describeError(error);
+      const actions = {
+        settings: { label: "Open Settings", onClick: () => setIsSettingsOpen(true) },
+        retry: retry && { label: "Try again", onClick: retry },
+      };
+      showToast({ type: "error", title, message, action: actions[action] || undefined });
+    },
+    [showToast]
+  );
 
   const interactiveSectionRef = useRef(null);
+  const projectInputRef = useRef(null);
+  // The analyzed images, kept so their analysis can be re-run without the cache
+  const uploadedFileRef = useRef(null);
+  // Aborts the image analysis or Mermaid conversion in flight
+  const requestRef = useRef(null);
+
+  // Cancels any running request and returns the signal for a new one
+  const startRequest = () => {
+    requestRef.current?.abort();
+    requestRef.current = new AbortController();
+    return requestRef.current.signal;
+  };
+
+  const handleCancelRequest = () => {
+    requestRef.current?.abort();
+    requestRef.current = null;
+    setIsAnalyzing(false);
+    setAnalysisProgress(null);
+    setIsConverting(false);
+  };
+
+  // A newer request or a cancel takes over the loading state
+  const isCurrentRequest = (signal) => requestRef.current?.signal === signal;
+
+  // Switching flows (or leaving the page) must not leave requests running
+  useEffect(() => () => requestRef.current?.abort(), [mode]);
 
-  const handleUpload = async (file) => {
-    console.log("App: handleUpload called with file:", file);
+  // Takes one file, or the ordered pages of a multi-image or PDF upload
+  const handleUpload = async (input, { bypassCache = false } = {}) => {
+    console.log("App: handleUpload called with:", input);
+    const files = Array.isArray(input) ? input : [input];
 
-    // Create a local URL for the uploaded image to display it
-    const objectUrl = URL.createObjectURL(file);
-    setUploadedImageUrl(objectUrl);
+    if (files.length === 1 && isDrawioFile(files[0])) {
+      return handleDrawioImport(files[0]);
+    }
+
+    if (!canAnalyzeImages) {
+      showToast({
+        type: "error",
+        title: "Images not supported",
+        message:
+          "The selected model does not accept images. Import a draw.io file, build from scratch, or pick a vision model.",
+        action: { label: "Open Settings", onClick: () => setIsSettingsOpen(true) },
+      });
+      return;
+    }
 
+    // Create local URLs for the uploaded pages to display them
+    setImageUrls(files.map((file) => URL.createObjectURL(file)));
+    setVisiblePage(0);
+    uploadedFileRef.current = files;
+    setMermaidCode(null);
+    setGraphData(null);
+    setMermaidFromCache(false);
+    setGraphFromCache(false);
+
+    const signal = startRequest();
     setIsAnalyzing(true);
     try {
-      console.log("App: calling generateMermaidFromImage...");
-      // Pass apiKey and provider to service
-      const code = await generateMermaidFromImage(file, apiKey, provider);
-      console.log("App: generateMermaidFromImage returned:", code);
+      console.log("App: calling generateMermaidFromImages...");
+      const code = await generateMermaidFromImages(files, aiSettings, {
+        signal,
+        bypassCache,
+        onCacheHit: () => setMermaidFromCache(true),
+        onProgress: (progress) => {
+          if (!signal.aborted) setAnalysisProgress(progress);
+        },
+      });
+      console.log("App: generateMermaidFromImages returned:", code);
+      if (signal.aborted) return;
       setMermaidCode(code);
+      setPromptStamps(getPromptStamps(["imageToMermaid"], aiSettings.promptTemplates));
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("Analysis failed:", error);
+      reportError(error, () => handleUpload(files, { bypassCache }));
+    } finally {
+      if (isCurrentRequest(signal)) {
+        setIsAnalyzing(false);
+        setAnalysisProgress(null);
+      }
+    }
+  };
+
+  // Pasted Mermaid code skips image analysis and goes straight to the Mermaid panel
+  const handleMermaidPaste = (code) => {
+    console.log("App: Mermaid code pasted");
+    // An analysis still running would overwrite the pasted code when it finishes
+    handleCancelRequest();
+    setImageUrls([]);
+    setVisiblePage(0);
+    uploadedFileRef.current = null;
+    setImportedFileName(null);
+    setGraphData(null);
+    setSelectedNode(null);
+    setGraphRepairs([]);
+    setMermaidFromCache(false);
+    setGraphFromCache(false);
+    setPromptStamps({});
+    setMermaidCode(code);
+  };
+
+  // draw.io files already hold the graph, so they skip the AI entirely
+  const handleDrawioImport = async (file) => {
+    setIsAnalyzing(true);
+    try {
+      const data = await importDrawio(file);
+      console.log("App: importDrawio returned:", data);
+      setImportedFileName(file.name);
+      setGraphData(data);
+      setMermaidCode(serializeToMermaid(data, data.direction));
+    } catch (error) {
+      console.error("draw.io import failed:", error);
+      reportError(error);
     } finally {
       setIsAnalyzing(false);
     }
   };
 
-  const handleConvertToInteractive = async () => {
+  const handleConvertToInteractive = async ({ bypassCache = false } = {}) => {
     if (!mermaidCode) return;
+    const signal = startRequest();
     setIsConverting(true);
+    setGraphFromCache(false);
     try {
       console.log("App: calling convertMermaidToFlow...");
-      // Pass apiKey and provider to service
-      const data = await convertMermaidToFlow(mermaidCode, apiKey, provider);
+      const data = await convertMermaidToFlow(mermaidCode, aiSettings, {
+        signal,
+        bypassCache,
+        onCacheHit: () => setGraphFromCache(true),
+      });
       console.log("App: convertMermaidToFlow returned:", data);
-      setGraphData(data);
+      if (signal.aborted) return;
+      setGraphData(layoutGraph(data, { direction: data.direction }));
+      setProjectKey((key) => key + 1);
+      setPromptStamps((stamps) => ({
+        ...stamps,
+        ...getPromptStamps(["enrichment"], aiSettings.promptTemplates),
+      }));
 
       // Scroll to interactive section after a short delay to allow render
       setTimeout(() => {
         interactiveSectionRef.current?.scrollIntoView({ behavior: "smooth" });
       }, 100);
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error("Conversion failed:", error);
+      reportError(error, () => handleConvertToInteractive({ bypassCache }));
     } finally {
-      setIsConverting(false);
+      if (isCurrentRequest(signal)) setIsConverting(false);
     }
   };
 
+  // Selecting a node (on the canvas or the image) turns to the page it was read from
+  const handleNodeSelect = (node) => {
+    setSelectedNode(node);
+    const page = node?.data?.bbox?.page ?? 0;
+    if (node?.data?.bbox && page < imageUrls.length) setVisiblePage(page);
+  };
+
+  // Keep the Mermaid definition in step with edits made on the canvas
+  const handleGraphChange = useCallback(({ nodes, edges, direction }) => {
+    setGraphData((prev) => ({ ...prev, nodes, edges, direction }));
+    setMermaidCode(serializeToMermaid({ nodes, edges }, direction));
+  }, []);
+
   // Handle design generated from ChatBuilder
-  const handleDesignGenerated = (design) => {
+  const handleDesignGenerated = (design, messages) => {
     console.log("App: Design generated from chat:", design);
+    setChatMessages(messages);
+    setGraphRepairs(design.repairs);
     setDesignSummary(design.summary);
     setMermaidCode(design.mermaidCode);
-    setGraphData(design.flowData);
+    setGraphData(layoutGraph(design.flowData));
+    setPromptStamps(getPromptStamps(["chat", "generation"], aiSettings.promptTemplates));
     // Switch to showing the results (like upload mode but without image)
     setMode("chat-result");
   };
 
   const handleReset = () => {
+    handleCancelRequest();
     setMode(null);
     setGraphData(null);
     setMermaidCode(null);
-    setUploadedImageUrl(null);
+    setImageUrls([]);
+    setVisiblePage(0);
+    setImportedFileName(null);
     setSelectedNode(null);
     setDesignSummary(null);
+    setChatMessages([]);
+    setGraphRepairs([]);
+    setMermaidFromCache(false);
+    setGraphFromCache(false);
+    uploadedFileRef.current = null;
+    setPromptStamps({});
+    startDesign();
   };
 
-  // Clean up object URL when component unmounts or image changes
+  const handleSaveProject = async () => {
+    try {
+      await saveProject({
+        mode,
+        imageUrls,
+        importedFileName,
+        mermaidCode,
+        graph: graphData,
+        summary: designSummary,
+        messages: chatMessages,
+        prompts: promptStamps,
+      });
+    } catch (error) {
+      console.error("Saving project failed:", error);
+      showToast({ type: "error", title: "Could not save project", message: error.message });
+    }
+  };
+
+  const handleOpenProject = async (e) => {
+    const file = e.target.files?.[0];
+    // Allow re-opening the same file later
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const project = await openProject(file);
+      console.log("App: openProject returned:", project);
+      const pageUrls = await restoreImageUrls(project.source.images);
+
+      handleReset();
+      setMode(project.mode);
+      setImageUrls(pageUrls);
+      setImportedFileName(project.source.importedFileName);
+      setMermaidCode(project.mermaidCode);
+      setGraphData(project.graph);
+      setDesignSummary(project.summary);
+      setChatMessages(project.chat.messages);
+      setGraphRepairs(project.repairs);
+      setPromptStamps(project.prompts);
+      setProjectKey((key) => key + 1);
+    } catch (error) {
+      console.error("Opening project failed:", error);
+      showToast({ type: "error", title: "Could not open project", message: error.message });
+    }
+  };
+
+  // Clean up object URLs when component unmounts or the images change
   useEffect(() => {
-    return () => {
-      if (uploadedImageUrl) {
-        URL.revokeObjectURL(uploadedImageUrl);
-      }
-    };
-  }, [uploadedImageUrl]);
+    return () => imageUrls.forEach((url) => URL.revokeObjectURL(url));
+  }, [imageUrls]);
+
+  // Components the model located on the visible page of the source image
+  const imageRegions = (graphData?.nodes || []).filter(
+    (node) => !isGroupNode(node) && (node.data?.bbox?.page ?? 0) === visiblePage
+  );
 
   const showDashboard = uploadedImageUrl || mermaidCode || graphData;
   const isInUploadFlow = mode === "upload" && showDashboard;
   const isInChatResultFlow = mode === "chat-result" && (mermaidCode || graphData);
+  const canSaveProject =
+    isInUploadFlow ||
+    isInChatResultFlow ||
+    (mode === "chat" && chatMessages.length > 1);
 
   return (
     <div
@@ -148,6 +393,42 @@ function AppContent() {
           </div>
 
           <div className="flex items-center gap-3">
+            <input
+              ref={projectInputRef}
+              type="file"
+              accept={`${PROJECT_EXTENSION},application/json`}
+              onChange={handleOpenProject}
+              className="hidden"
+            />
+            <button
+              onClick={() => projectInputRef.current?.click()}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all"
+              style={{
+                backgroundColor: "var(--interactive-bg)",
+                color: "var(--text-primary)",
+                border: "1px solid var(--border-primary)",
+              }}
+              title="Open a saved project"
+            >
+              <FolderOpen className="w-4 h-4" />
+              Open
+            </button>
+            {canSaveProject && (
+              <button
+                onClick={handleSaveProject}
+                className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all"
+                style={{
+                  backgroundColor: "var(--interactive-bg)",
+                  color: "var(--text-primary)",
+                  border: "1px solid var(--border-primary)",
+                }}
+                title={`Save project as ${PROJECT_EXTENSION}`}
+              >
+                <Save className="w-4 h-4" />
+                Save
+              </button>
+            )}
+
             {(isInUploadFlow || isInChatResultFlow || mode === "chat") && (
               <button
                 onClick={handleReset}
@@ -173,6 +454,10 @@ function AppContent() {
               </button>
             )}
 
+            {isConfigured && (
+              <UsageMenu monthlyBudget={aiSettings.monthlyBudget} />
+            )}
+
             {/* Settings Button */}
             <button
               onClick={() => setIsSettingsOpen(true)}
@@ -233,7 +518,7 @@ function AppContent() {
               </p>
 
               {/* API Key CTA - Show if no key is set */}
-              {!apiKey && (
+              {!isConfigured && (
                 <div
                   className="mt-8 p-4 rounded-xl border flex items-center justify-between gap-4 max-w-lg mx-auto animate-in slide-in-from-bottom-4 duration-700 delay-200"
                   style={{
@@ -248,7 +533,7 @@ function AppContent() {
                     </div>
                     <div>
                       <h3 className="font-semibold text-sm" style={{ color: "var(--text-primary)" }}>Missing API Key</h3>
-                      <p className="text-xs" style={{ color: "var(--text-secondary)" }}>Add your OpenAI or Gemini key to get started</p>
+                      <p className="text-xs" style={{ color: "var(--text-secondary)" }}>Add an OpenAI, Gemini or Anthropic key, or a self-hosted endpoint, to get started</p>
                     </div>
                   </div>
                   <button
@@ -383,11 +668,46 @@ function AppContent() {
                 Upload your system design
               </h2>
               <p style={{ color: "var(--text-secondary)" }}>
-                Drop an image of your architecture diagram and watch it come to
-                life
+                Drop an image or a draw.io file of your architecture diagram
+                and watch it come to life
               </p>
             </div>
-            <UploadZone onUpload={handleUpload} isAnalyzing={isAnalyzing} />
+            {!canAnalyzeImages && (
+              <div
+                className="w-full max-w-2xl p-4 rounded-xl flex gap-3 text-left"
+                style={{
+                  backgroundColor: "rgba(234, 179, 8, 0.1)",
+                  border: "1px solid var(--accent-yellow)",
+                }}
+              >
+                <AlertTriangle
+                  className="w-5 h-5 shrink-0"
+                  style={{ color: "var(--accent-yellow)" }}
+                />
+                <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+                  Your custom model is set up without image support, so
+                  screenshots can't be analyzed. You can still import draw.io
+                  files here, or{" "}
+                  <button
+                    onClick={() => setMode("chat")}
+                    className="font-medium underline"
+                    style={{ color: "var(--accent-blue)" }}
+                  >
+                    build from scratch
+                  </button>{" "}
+                  in a conversation.
+                </p>
+              </div>
+            )}
+            <UploadZone
+              onUpload={handleUpload}
+              onMermaid={handleMermaidPaste}
+              onError={reportError}
+              isAnalyzing={isAnalyzing}
+              acceptImages={canAnalyzeImages}
+              preview={imagePreview}
+              maxSize={imageMaxSize}
+            />
           </div>
         )}
 
@@ -395,10 +715,13 @@ function AppContent() {
         {mode === "chat" && (
           <div className="min-h-[calc(100vh-64px)] flex items-start justify-center p-6 pt-8 animate-in fade-in duration-500">
             <ChatBuilder
+              key={projectKey}
+              initialMessages={chatMessages}
+              onMessagesChange={setChatMessages}
               onDesignGenerated={handleDesignGenerated}
               onCancel={handleReset}
-              apiKey={apiKey}
-              provider={provider}
+              onError={reportError}
+              aiSettings={aiSettings}
             />
           </div>
         )}
@@ -427,6 +750,46 @@ function AppContent() {
               </div>
             )}
 
+            {/* Repairs applied to malformed graph data */}
+            {graphRepairs.length > 0 && (
+              <div
+                className="p-4 rounded-xl flex gap-3"
+                style={{
+                  backgroundColor: "rgba(234, 179, 8, 0.1)",
+                  border: "1px solid var(--accent-yellow)",
+                }}
+              >
+                <AlertTriangle
+                  className="w-5 h-5 shrink-0"
+                  style={{ color: "var(--accent-yellow)" }}
+                />
+                <div className="flex-1 text-sm">
+                  <p
+                    className="font-medium"
+                    style={{ color: "var(--text-primary)" }}
+                  >
+                    Fixed {graphRepairs.length} problem
+                    {graphRepairs.length === 1 ? "" : "s"} in the diagram data
+                  </p>
+                  <ul
+                    className="mt-1 list-disc list-inside text-xs space-y-0.5"
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    {graphRepairs.map((repair, index) => (
+                      <li key={index}>{repair}</li>
+                    ))}
+                  </ul>
+                </div>
+                <button
+                  onClick={() => setGraphRepairs([])}
+                  className="self-start text-xs font-medium"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  Dismiss
+                </button>
+              </div>
+            )}
+
             {/* Row 1: Source Materials */}
             <div className="flex flex-col lg:flex-row gap-6 h-[600px]">
               {/* Top Left: Original Image or Placeholder (35%) */}
@@ -452,23 +815,87 @@ function AppContent() {
                     className="text-xs font-semibold uppercase tracking-wider"
                     style={{ color: "var(--text-secondary)" }}
                   >
-                    {uploadedImageUrl ? "Original Design" : "AI Generated"}
+                    {uploadedImageUrl
+                      ? "Original Design"
+                      : importedFileName
+                      ? "Imported File"
+                      : mode === "upload"
+                      ? "Mermaid Code"
+                      : "AI Generated"}
                   </h3>
+                  {imageUrls.length > 1 && (
+                    <div
+                      className="ml-auto flex items-center gap-1 text-xs"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      <button
+                        onClick={() => setVisiblePage((page) => page - 1)}
+                        disabled={visiblePage === 0}
+                        className="p-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-30"
+                        title="Previous page"
+                      >
+                        <ChevronLeft className="w-4 h-4" />
+                      </button>
+                      <span>
+                        Page {visiblePage + 1} of {imageUrls.length}
+                      </span>
+                      <button
+                        onClick={() => setVisiblePage((page) => page + 1)}
+                        disabled={visiblePage === imageUrls.length - 1}
+                        className="p-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-30"
+                        title="Next page"
+                      >
+                        <ChevronRight className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
                 </div>
                 <div
                   className="flex-1 p-6 overflow-auto flex items-center justify-center"
                   style={{ backgroundColor: "var(--bg-overlay)" }}
                 >
                   {uploadedImageUrl ? (
-                    <img
-                      src={uploadedImageUrl}
-                      alt="Original System Design"
-                      className="max-w-full max-h-full object-contain rounded-lg"
-                      style={{
-                        boxShadow: "var(--shadow-xl)",
-                        border: "1px solid var(--border-primary)",
-                      }}
+                    <SourceImage
+                      key={imageUrls[visiblePage] || uploadedImageUrl}
+                      src={imageUrls[visiblePage] || uploadedImageUrl}
+                      nodes={imageRegions}
+                      selectedId={selectedNode?.id}
+                      onSelect={handleNodeSelect}
                     />
+                  ) : importedFileName ? (
+                    <div
+                      className="text-center p-8"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      <FileCode
+                        className="w-16 h-16 mx-auto mb-4 opacity-50"
+                        style={{ color: "var(--accent-orange)" }}
+                      />
+                      <p className="text-sm">Imported from draw.io</p>
+                      <p
+                        className="text-xs mt-2"
+                        style={{ color: "var(--text-muted)" }}
+                      >
+                        {importedFileName}
+                      </p>
+                    </div>
+                  ) : mode === "upload" ? (
+                    <div
+                      className="text-center p-8"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      <Code
+                        className="w-16 h-16 mx-auto mb-4 opacity-50"
+                        style={{ color: "var(--accent-purple)" }}
+                      />
+                      <p className="text-sm">Pasted as Mermaid code</p>
+                      <p
+                        className="text-xs mt-2"
+                        style={{ color: "var(--text-muted)" }}
+                      >
+                        No source image
+                      </p>
+                    </div>
                   ) : (
                     <div
                       className="text-center p-8"
@@ -518,22 +945,35 @@ function AppContent() {
                     >
                       Mermaid Definition
                     </h3>
+                    {mermaidFromCache && uploadedFileRef.current && (
+                      <CachedBadge
+                        disabled={isAnalyzing}
+                        onRefresh={() =>
+                          handleUpload(uploadedFileRef.current, { bypassCache: true })
+                        }
+                      />
+                    )}
                   </div>
                   {mermaidCode && !graphData && (
-                    <button
-                      onClick={handleConvertToInteractive}
-                      disabled={isConverting}
-                      className="group flex items-center gap-2 px-4 py-1.5 rounded-md text-white text-xs font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-                      style={{
-                        backgroundColor: "var(--accent-blue)",
-                        boxShadow: "var(--accent-blue-glow)",
-                      }}
-                    >
-                      {isConverting
-                        ? "Converting..."
-                        : "Convert to Interactive"}
-                      <ArrowDown className="w-3 h-3 transition-transform group-hover:translate-y-0.5" />
-                    </button>
+                    <div className="flex items-center gap-2">
+                      {isConverting && (
+                        <CancelButton onClick={handleCancelRequest} />
+                      )}
+                      <button
+                        onClick={() => handleConvertToInteractive()}
+                        disabled={isConverting}
+                        className="group flex items-center gap-2 px-4 py-1.5 rounded-md text-white text-xs font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                        style={{
+                          backgroundColor: "var(--accent-blue)",
+                          boxShadow: "var(--accent-blue-glow)",
+                        }}
+                      >
+                        {isConverting
+                          ? "Converting..."
+                          : "Convert to Interactive"}
+                        <ArrowDown className="w-3 h-3 transition-transform group-hover:translate-y-0.5" />
+                      </button>
+                    </div>
                   )}
                 </div>
                 <div
@@ -555,8 +995,11 @@ function AppContent() {
                         }}
                       />
                       <span className="text-sm">
-                        Generating Mermaid diagram...
+                        {analysisProgress
+                          ? `Analyzing page ${analysisProgress.page} of ${analysisProgress.total}...`
+                          : "Generating Mermaid diagram..."}
                       </span>
+                      <CancelButton onClick={handleCancelRequest} />
                     </div>
                   ) : (
                     <div
@@ -597,6 +1040,12 @@ function AppContent() {
                   >
                     Interactive Visualization
                   </h3>
+                  {graphFromCache && graphData && (
+                    <CachedBadge
+                      disabled={isConverting}
+                      onRefresh={() => handleConvertToInteractive({ bypassCache: true })}
+                    />
+                  )}
                 </div>
               </div>
 
@@ -608,9 +1057,13 @@ function AppContent() {
                   <>
                     <ReactFlowProvider>
                       <SystemDiagram
+                        key={projectKey}
                         initialNodes={graphData.nodes}
                         initialEdges={graphData.edges}
-                        onNodeClick={setSelectedNode}
+                        initialDirection={graphData.direction}
+                        onNodeClick={handleNodeSelect}
+                        onGraphChange={handleGraphChange}
+                        selectedNodeId={selectedNode?.id}
                       />
                     </ReactFlowProvider>
                     <InfoPanel
@@ -649,20 +1102,25 @@ function AppContent() {
                           click "Convert to Interactive" to generate the
                           explorable graph.
                         </p>
-                        <button
-                          onClick={handleConvertToInteractive}
-                          disabled={isConverting}
-                          className="inline-flex items-center gap-2 px-6 py-3 rounded-lg text-white font-medium transition-all disabled:opacity-50"
-                          style={{
-                            backgroundColor: "var(--accent-blue)",
-                            boxShadow: "var(--accent-blue-glow)",
-                          }}
-                        >
-                          {isConverting
-                            ? "Converting..."
-                            : "Convert to Interactive"}
-                          <ArrowDown className="w-4 h-4" />
-                        </button>
+                        <div className="flex items-center justify-center gap-3">
+                          <button
+                            onClick={() => handleConvertToInteractive()}
+                            disabled={isConverting}
+                            className="inline-flex items-center gap-2 px-6 py-3 rounded-lg text-white font-medium transition-all disabled:opacity-50"
+                            style={{
+                              backgroundColor: "var(--accent-blue)",
+                              boxShadow: "var(--accent-blue-glow)",
+                            }}
+                          >
+                            {isConverting
+                              ? "Converting..."
+                              : "Convert to Interactive"}
+                            <ArrowDown className="w-4 h-4" />
+                          </button>
+                          {isConverting && (
+                            <CancelButton onClick={handleCancelRequest} size="md" />
+                          )}
+                        </div>
                       </div>
                     ) : (
                       <div className="flex flex-col items-center gap-4 opacity-50">
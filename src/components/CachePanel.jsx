@@ -0,0 +1,132 @@
+import { Trash2 } from "lucide-react";
+import { useCallback, useEffect, useState } from "react";
+import {
+    clearCache,
+    deleteCacheEntry,
+    listCacheEntries,
+} from "../services/cacheService";
+
+const KIND_LABELS = {
+    "image-mermaid": "Image → Mermaid",
+    "mermaid-flow": "Mermaid → Graph",
+};
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Settings section for the local AI response cache. `enabled` and `limitMb`
+// are saved with the rest of the settings; clearing and deleting apply at once.
+const CachePanel = ({ enabled, onEnabledChange, limitMb, onLimitChange, inputStyle }) => {
+    const [entries, setEntries] = useState([]);
+    const [showEntries, setShowEntries] = useState(false);
+
+    const refresh = useCallback(() => {
+        listCacheEntries().then(setEntries);
+    }, []);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const handleClear = async () => {
+        await clearCache();
+        refresh();
+    };
+
+    const handleDelete = async (key) => {
+        await deleteCacheEntry(key);
+        refresh();
+    };
+
+    const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    return (
+        <div className="space-y-3">
+            <label
+                className="text-sm font-medium"
+                style={{ color: "var(--text-secondary)" }}
+            >
+                Response cache
+            </label>
+            <label
+                className="flex items-center gap-2 text-sm cursor-pointer"
+                style={{ color: "var(--text-secondary)" }}
+            >
+                <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={(e) => onEnabledChange(e.target.checked)}
+                />
+                Reuse results for images and diagrams seen before
+            </label>
+            <div className="flex items-center gap-3">
+                <span className="text-xs text-gray-500">Size limit (MB)</span>
+                <input
+                    type="number"
+                    min={1}
+                    max={1000}
+                    value={limitMb}
+                    onChange={(e) => onLimitChange(e.target.value)}
+                    className="w-24 px-3 py-1.5 rounded-xl outline-none text-sm"
+                    style={inputStyle}
+                />
+            </div>
+            <div className="flex items-center justify-between text-xs text-gray-500">
+                <button
+                    onClick={() => setShowEntries((show) => !show)}
+                    className="underline disabled:no-underline"
+                    disabled={!entries.length}
+                >
+                    {entries.length} cached{" "}
+                    {entries.length === 1 ? "response" : "responses"} ·{" "}
+                    {formatBytes(totalSize)}
+                </button>
+                <button
+                    onClick={handleClear}
+                    disabled={!entries.length}
+                    className="flex items-center gap-1 px-2 py-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-40"
+                >
+                    <Trash2 className="w-3 h-3" />
+                    Clear cache
+                </button>
+            </div>
+            {showEntries && entries.length > 0 && (
+                <ul
+                    className="max-h-40 overflow-y-auto rounded-xl text-xs divide-y"
+                    style={{ ...inputStyle, borderColor: "var(--border-secondary)" }}
+                >
+                    {entries.map((entry) => (
+                        <li
+                            key={entry.key}
+                            className="flex items-center gap-2 px-3 py-2"
+                            style={{ borderColor: "var(--border-secondary)" }}
+                        >
+                            <div className="flex-1 min-w-0">
+                                <p className="truncate" title={entry.label}>
+                                    {entry.label}
+                                </p>
+                                <p className="text-gray-500">
+                                    {KIND_LABELS[entry.kind] || entry.kind} ·{" "}
+                                    {formatBytes(entry.size)} · used{" "}
+                                    {new Date(entry.lastUsed).toLocaleString()}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => handleDelete(entry.key)}
+                                className="p-1 rounded-md transition-colors hover:bg-black/5 text-gray-500"
+                                aria-label="Delete cached response"
+                            >
+                                <Trash2 className="w-3.5 h-3.5" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default CachePanel;
@@ -0,0 +1,24 @@
+import { Database, RefreshCw } from "lucide-react";
+
+// Marks a result that was served from the response cache, with a way to
+// run the request again for real
+const CachedBadge = ({ onRefresh, disabled }) => (
+  <div
+    className="flex items-center gap-1 pl-2 rounded-md text-xs border border-[var(--border-primary)] text-[var(--text-secondary)]"
+    title="Loaded from the local response cache"
+  >
+    <Database className="w-3 h-3" />
+    Cached
+    <button
+      onClick={onRefresh}
+      disabled={disabled}
+      className="flex items-center gap-1 ml-1 px-2 py-1 rounded-r-md transition-colors border-l border-[var(--border-primary)] hover:bg-[var(--interactive-hover)] hover:text-[var(--text-primary)] disabled:opacity-50"
+      title="Run again without the cache"
+    >
+      <RefreshCw className="w-3 h-3" />
+      Refresh
+    </button>
+  </div>
+);
+
+export default CachedBadge;
@@ -0,0 +1,19 @@
+import { X } from "lucide-react";
+
+// Stops an AI request that is still running
+const CancelButton = ({ onClick, size = "sm" }) => (
+  <button
+    onClick={onClick}
+    className={`flex items-center gap-1.5 rounded-md font-medium transition-all
+      bg-[var(--interactive-bg)] hover:bg-[var(--interactive-hover)]
+      border border-[var(--border-primary)] text-[var(--text-secondary)]
+      hover:text-[var(--text-primary)] ${
+        size === "sm" ? "px-3 py-1.5 text-xs" : "px-5 py-3 text-sm rounded-lg"
+      }`}
+  >
+    <X className={size === "sm" ? "w-3 h-3" : "w-4 h-4"} />
+    Cancel
+  </button>
+);
+
+export default CancelButton;
@@ -1,30 +1,56 @@
-import { Loader2, MessageCircle, Send, Sparkles } from "lucide-react";
+import {
+    Check,
+    Loader2,
+    MessageCircle,
+    Send,
+    Sparkles,
+    Square,
+} from "lucide-react";
 import { useEffect, useRef, useState } from "react";
 import {
+    GENERATION_STAGES,
     generateDesignFromChat,
     getInitialMessage,
     sendChatMessage,
 } from "../services/conversationService";
+import { isAbortError } from "../services/llmService";
 
-const ChatBuilder = ({ onDesignGenerated, onCancel, apiKey, provider }) => {
-    const [messages, setMessages] = useState([]);
+const ChatBuilder = ({
+    onDesignGenerated,
+    onCancel,
+    onMessagesChange,
+    onError,
+    initialMessages,
+    aiSettings,
+}) => {
+    // Start from a saved transcript when reopening a project, otherwise greet
+    const [messages, setMessages] = useState(() =>
+        initialMessages?.length ? initialMessages : [getInitialMessage()]
+    );
     const [inputValue, setInputValue] = useState("");
     const [isLoading, setIsLoading] = useState(false);
     const [isGenerating, setIsGenerating] = useState(false);
     const [isReadyToGenerate, setIsReadyToGenerate] = useState(false);
+    // Reply text received so far while the assistant is streaming
+    const [streamingReply, setStreamingReply] = useState("");
+    const [progress, setProgress] = useState(null);
     const messagesEndRef = useRef(null);
     const inputRef = useRef(null);
+    // Aborts the reply or generation in flight (Stop button)
+    const abortRef = useRef(null);
 
-    // Initialize with AI greeting
+    // Keep App's copy of the transcript current so it can be saved
     useEffect(() => {
-        const initialMsg = getInitialMessage();
-        setMessages([initialMsg]);
-    }, []);
+        onMessagesChange?.(messages);
+    }, [messages, onMessagesChange]);
 
-    // Auto-scroll to bottom on new messages
+    // Closing the builder (Cancel, Start Over) stops any reply in flight
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    // Auto-scroll to bottom on new messages and streamed text
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+    }, [messages, streamingReply]);
 
     // Focus input after AI responds
     useEffect(() => {
@@ -33,39 +59,61 @@ const ChatBuilder = ({ onDesignGenerated, onCancel, apiKey, provider }) => {
         }
     }, [isLoading]);
 
-    const handleSend = async () => {
+    const handleSend = () => {
         if (!inputValue.trim() || isLoading) return;
 
         const userMessage = inputValue.trim();
         setInputValue("");
-        setIsLoading(true);
 
         // Add user message
         const newMessages = [...messages, { role: "user", content: userMessage }];
         setMessages(newMessages);
+        requestReply(newMessages);
+    };
+
+    // Asks for the assistant's answer to a transcript ending in a user message
+    const requestReply = async (newMessages) => {
+        const userMessage = newMessages[newMessages.length - 1].content;
+        setIsLoading(true);
+        const controller = new AbortController();
+        abortRef.current = controller;
+        let partial = "";
 
         try {
-            const response = await sendChatMessage(newMessages, userMessage, apiKey, provider);
+            const response = await sendChatMessage(newMessages, userMessage, aiSettings, {
+                signal: controller.signal,
+                onToken: (delta) => {
+                    partial += delta;
+                    setStreamingReply(partial);
+                },
+            });
             setMessages([
                 ...newMessages,
                 { role: "assistant", content: response.message },
             ]);
             setIsReadyToGenerate(response.isReadyToGenerate);
         } catch (error) {
+            if (isAbortError(error)) {
+                // Keep whatever arrived before the user stopped the reply
+                if (partial.trim()) {
+                    setMessages([...newMessages, { role: "assistant", content: partial }]);
+                }
+                return;
+            }
             console.error("Chat error:", error);
-            setMessages([
-                ...newMessages,
-                {
-                    role: "assistant",
-                    content:
-                        "Sorry, I encountered an error. Let's try again - what were you saying?",
-                },
-            ]);
+            // The user's message stays in the transcript so the reply can be retried
+            onError?.(error, () => requestReply(newMessages));
         } finally {
+            abortRef.current = null;
+            setStreamingReply("");
             setIsLoading(false);
         }
     };
 
+    const handleStop = () => {
+        abortRef.current?.abort();
+    };
+
     const handleKeyDown = (e) => {
         if (e.key === "Enter" && !e.shiftKey) {
             e.preventDefault();
@@ -75,24 +123,35 @@ const ChatBuilder = ({ onDesignGenerated, onCancel, apiKey, provider }) => {
 
     const handleGenerate = async () => {
         setIsGenerating(true);
+        const controller = new AbortController();
+        abortRef.current = controller;
+
         try {
-            const design = await generateDesignFromChat(messages, apiKey, provider);
-            onDesignGenerated(design);
+            const design = await generateDesignFromChat(messages, aiSettings, {
+                signal: controller.signal,
+                onProgress: setProgress,
+            });
+            onDesignGenerated(design, messages);
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error("Generation error:", error);
-            setMessages([
-                ...messages,
-                {
-                    role: "assistant",
-                    content:
-                        "Sorry, I had trouble generating the design. Let me try again...",
-                },
-            ]);
+            onError?.(error, handleGenerate);
         } finally {
+            abortRef.current = null;
+            setProgress(null);
             setIsGenerating(false);
         }
     };
 
+    const renderContent = (content) =>
+        content.split("**").map((part, i) =>
+            i % 2 === 1 ? <strong key={i}>{part}</strong> : <span key={i}>{part}</span>
+        );
+
+    const currentStage = GENERATION_STAGES.findIndex(
+        (stage) => stage.id === progress?.stage
+    );
+
     return (
         <div
             className="w-full max-w-4xl mx-auto h-[calc(100vh-120px)] flex flex-col rounded-xl overflow-hidden"
@@ -180,20 +239,32 @@ const ChatBuilder = ({ onDesignGenerated, onCancel, apiKey, provider }) => {
                             }}
                         >
                             <p className="text-sm whitespace-pre-wrap leading-relaxed">
-                                {msg.content.split("**").map((part, i) =>
-                                    i % 2 === 1 ? (
-                                        <strong key={i}>{part}</strong>
-                                    ) : (
-                                        <span key={i}>{part}</span>
-                                    )
-                                )}
+                                {renderContent(msg.content)}
                             </p>
                         </div>
                     </div>
                 ))}
 
+                {/* Streaming reply */}
+                {isLoading && streamingReply && (
+                    <div className="flex justify-start">
+                        <div
+                            className="max-w-[80%] px-4 py-3 rounded-2xl rounded-bl-md"
+                            style={{
+                                backgroundColor: "var(--bg-tertiary)",
+                                color: "var(--text-primary)",
+                                border: "1px solid var(--border-secondary)",
+                            }}
+                        >
+                            <p className="text-sm whitespace-pre-wrap leading-relaxed">
+                                {renderContent(streamingReply)}
+                            </p>
+                        </div>
+                    </div>
+                )}
+
                 {/* Typing Indicator */}
-                {isLoading && (
+                {isLoading && !streamingReply && (
                     <div className="flex justify-start">
                         <div
                             className="px-4 py-3 rounded-2xl rounded-bl-md"
@@ -240,11 +311,67 @@ const ChatBuilder = ({ onDesignGenerated, onCancel, apiKey, provider }) => {
                     backgroundColor: "var(--bg-secondary)",
                 }}
             >
+                {/* Generation progress */}
+                {isGenerating && (
+                    <div
+                        className="mb-3 px-4 py-3 rounded-lg flex items-center justify-between gap-4"
+                        style={{
+                            backgroundColor: "var(--bg-tertiary)",
+                            border: "1px solid var(--border-secondary)",
+                        }}
+                    >
+                        <ol className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+                            {GENERATION_STAGES.map((stage, index) => {
+                                const isDone = index < currentStage;
+                                const isCurrent = index === currentStage;
+                                return (
+                                    <li
+                                        key={stage.id}
+                                        className="flex items-center gap-1.5"
+                                        style={{
+                                            color: isCurrent
+                                                ? "var(--text-primary)"
+                                                : "var(--text-muted)",
+                                        }}
+                                    >
+                                        {isDone ? (
+                                            <Check
+                                                className="w-4 h-4"
+                                                style={{ color: "var(--accent-emerald)" }}
+                                            />
+                                        ) : isCurrent ? (
+                                            <Loader2 className="w-4 h-4 animate-spin" />
+                                        ) : (
+                                            <span className="w-4 h-4 flex items-center justify-center">
+                                                <span className="w-1.5 h-1.5 rounded-full bg-current" />
+                                            </span>
+                                        )}
+                                        {stage.label}
+                                        {isCurrent && stage.id === "drafting" && progress.components > 0 &&
+                                            ` (${progress.components} components)`}
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                        <button
+                            onClick={handleStop}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm shrink-0 transition-all"
+                            style={{
+                                backgroundColor: "var(--interactive-bg)",
+                                color: "var(--text-secondary)",
+                                border: "1px solid var(--border-primary)",
+                            }}
+                        >
+                            <Square className="w-3.5 h-3.5" />
+                            Stop
+                        </button>
+                    </div>
+                )}
+
                 {/* Generate Button (shows when ready) */}
-                {isReadyToGenerate && (
+                {isReadyToGenerate && !isGenerating && (
                     <button
                         onClick={handleGenerate}
-                        disabled={isGenerating}
                         className="w-full mb-3 py-3 rounded-lg font-medium flex items-center justify-center gap-2 transition-all disabled:opacity-50"
                         style={{
                             backgroundColor: "var(--accent-emerald)",
@@ -252,17 +379,8 @@ const ChatBuilder = ({ onDesignGenerated, onCancel, apiKey, provider }) => {
                             boxShadow: "0 0 20px rgba(16, 185, 129, 0.3)",
                         }}
                     >
-                        {isGenerating ? (
-                            <>
-                                <Loader2 className="w-5 h-5 animate-spin" />
-                                Generating your design...
-                            </>
-                        ) : (
-                            <>
-                                <Sparkles className="w-5 h-5" />
-                                Generate System Design
-                            </>
-                        )}
+                        <Sparkles className="w-5 h-5" />
+                        Generate System Design
                     </button>
                 )}
 
@@ -285,19 +403,33 @@ const ChatBuilder = ({ onDesignGenerated, onCancel, apiKey, provider }) => {
                         className="flex-1 bg-transparent px-3 py-2 text-sm outline-none disabled:opacity-50"
                         style={{ color: "var(--text-primary)" }}
                     />
-                    <button
-                        onClick={handleSend}
-                        disabled={!inputValue.trim() || isLoading || isGenerating}
-                        className="p-2.5 rounded-lg transition-all disabled:opacity-30"
-                        style={{
-                            backgroundColor: inputValue.trim()
-                                ? "var(--accent-blue)"
-                                : "var(--interactive-bg)",
-                            color: inputValue.trim() ? "white" : "var(--text-muted)",
-                        }}
-                    >
-                        <Send className="w-4 h-4" />
-                    </button>
+                    {isLoading ? (
+                        <button
+                            onClick={handleStop}
+                            title="Stop reply"
+                            className="p-2.5 rounded-lg transition-all"
+                            style={{
+                                backgroundColor: "var(--interactive-bg)",
+                                color: "var(--text-secondary)",
+                            }}
+                        >
+                            <Square className="w-4 h-4" />
+                        </button>
+                    ) : (
+                        <button
+                            onClick={handleSend}
+                            disabled={!inputValue.trim() || isGenerating}
+                            className="p-2.5 rounded-lg transition-all disabled:opacity-30"
+                            style={{
+                                backgroundColor: inputValue.trim()
+                                    ? "var(--accent-blue)"
+                                    : "var(--interactive-bg)",
+                                color: inputValue.trim() ? "white" : "var(--text-muted)",
+                            }}
+                        >
+                            <Send className="w-4 h-4" />
+                        </button>
+                    )}
                 </div>
             </div>
         </div>
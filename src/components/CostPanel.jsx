@@ -0,0 +1,146 @@
+import { RotateCcw } from "lucide-react";
+import { useState } from "react";
+import { useUsage } from "../hooks/useUsage";
+import { PROVIDERS } from "../services/providers";
+import { formatCost, priceFor, priceKey, resetUsage } from "../services/usageService";
+
+// Every catalog model, plus the self-hosted model when one is configured
+const priceRows = (customModel) => [
+    ...Object.values(PROVIDERS).flatMap((provider) =>
+        provider.models.map((model) => ({
+            key: priceKey(provider.id, model.id),
+            label: model.label,
+            defaultPrice: model.price,
+        }))
+    ),
+    ...(customModel
+        ? [{ key: priceKey("custom", customModel), label: customModel, defaultPrice: null }]
+        : []),
+];
+
+// Settings section for cost tracking. The budget and price overrides are
+// saved with the rest of the settings; resetting the totals applies at once.
+const CostPanel = ({ budget, onBudgetChange, prices, onPricesChange, customModel, inputStyle }) => {
+    const usage = useUsage();
+    const [showPrices, setShowPrices] = useState(false);
+    // A budget refuses requests to models whose spend it cannot count
+    const unpricedModel =
+        Number(budget) > 0 && customModel && !priceFor("custom", customModel, prices)
+            ? customModel
+            : null;
+
+    const handlePriceChange = (row, field, value) => {
+        onPricesChange({
+            ...prices,
+            [row.key]: { ...(prices[row.key] || row.defaultPrice), [field]: value },
+        });
+    };
+
+    const handlePriceReset = (key) => {
+        const { [key]: _removed, ...rest } = prices;
+        onPricesChange(rest);
+    };
+
+    return (
+        <div className="space-y-3">
+            <label
+                className="text-sm font-medium"
+                style={{ color: "var(--text-secondary)" }}
+            >
+                Usage & cost
+            </label>
+            <div className="flex items-center gap-3">
+                <span className="text-xs text-gray-500">Monthly budget (USD)</span>
+                <input
+                    type="number"
+                    min={0}
+                    step="any"
+                    value={budget || ""}
+                    onChange={(e) => onBudgetChange(e.target.value)}
+                    placeholder="No limit"
+                    className="w-28 px-3 py-1.5 rounded-xl outline-none text-sm placeholder:text-gray-400"
+                    style={inputStyle}
+                />
+            </div>
+            {unpricedModel && (
+                <p className="text-xs" style={{ color: "var(--accent-orange)" }}>
+                    {unpricedModel} has no price, so it is blocked while a
+                    budget is set. Enter its price in the price table.
+                </p>
+            )}
+            <div className="flex items-center justify-between text-xs text-gray-500">
+                <button
+                    onClick={() => setShowPrices((show) => !show)}
+                    className="underline"
+                >
+                    {showPrices ? "Hide" : "Edit"} price table
+                </button>
+                <button
+                    onClick={resetUsage}
+                    disabled={!usage.total.requests}
+                    className="flex items-center gap-1 px-2 py-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-40"
+                    title={`${usage.total.requests} requests, ${formatCost(usage.total.cost)} in total`}
+                >
+                    <RotateCcw className="w-3 h-3" />
+                    Reset totals
+                </button>
+            </div>
+            {showPrices && (
+                <div
+                    className="max-h-56 overflow-y-auto rounded-xl text-xs"
+                    style={inputStyle}
+                >
+                    <div className="grid grid-cols-[1fr_4.5rem_4.5rem_1.5rem] gap-2 px-3 py-2 text-gray-500">
+                        <span>Model</span>
+                        <span>Input</span>
+                        <span>Output</span>
+                    </div>
+                    {priceRows(customModel).map((row) => {
+                        const override = prices[row.key];
+                        return (
+                            <div
+                                key={row.key}
+                                className="grid grid-cols-[1fr_4.5rem_4.5rem_1.5rem] items-center gap-2 px-3 py-1"
+                            >
+                                <span className="truncate" title={row.key}>
+                                    {row.label}
+                                </span>
+                                {["input", "output"].map((field) => (
+                                    <input
+                                        key={field}
+                                        type="number"
+                                        min={0}
+                                        step="any"
+                                        value={override?.[field] ?? ""}
+                                        placeholder={row.defaultPrice ? String(row.defaultPrice[field]) : "—"}
+                                        onChange={(e) => handlePriceChange(row, field, e.target.value)}
+                                        className="w-full px-2 py-1 rounded-md outline-none bg-transparent placeholder:text-gray-400"
+                                        style={{ border: "1px solid var(--border-secondary)" }}
+                                    />
+                                ))}
+                                {override && (
+                                    <button
+                                        onClick={() => handlePriceReset(row.key)}
+                                        className="p-1 rounded-md transition-colors hover:bg-black/5 text-gray-500"
+                                        aria-label="Use the default price"
+                                        title="Use the default price"
+                                    >
+                                        <RotateCcw className="w-3 h-3" />
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })}
+                    <p className="px-3 py-2 text-gray-500">
+                        USD per million tokens. Defaults are list prices and
+                        may be out of date; models without a price are
+                        counted but not costed, and are blocked while a
+                        budget is set.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CostPanel;
@@ -1,13 +1,30 @@
 import clsx from "clsx";
-import { Database, Globe, Layers, Server, Smartphone } from "lucide-react";
+import {
+  Boxes,
+  ChevronDown,
+  ChevronRight,
+  Database,
+  Globe,
+  Layers,
+  Server,
+  Smartphone,
+} from "lucide-react";
 import { memo } from "react";
-import { Handle, Position } from "reactflow";
+import { Handle, Position, useReactFlow } from "reactflow";
+import { toggleGroupCollapsed } from "../services/groupService";
 
-const BaseNode = ({ data, icon: Icon, colorClass, isSelected }) => {
+const BaseNode = ({
+  data,
+  icon: Icon,
+  colorClass,
+  isSelected,
+  targetPosition = Position.Top,
+  sourcePosition = Position.Bottom,
+}) => {
   return (
     <div
       className={clsx(
-        "px-4 py-3 shadow-lg rounded-xl border-2 min-w-[180px] transition-all duration-200",
+        "w-full h-full px-4 py-3 shadow-lg rounded-xl border-2 min-w-[180px] transition-all duration-200",
         colorClass
       )}
       style={{
@@ -18,7 +35,7 @@ const BaseNode = ({ data, icon: Icon, colorClass, isSelected }) => {
     >
       <Handle
         type="target"
-        position={Position.Top}
+        position={targetPosition}
         className="!w-3 !h-3"
         style={{ backgroundColor: "var(--text-muted)" }}
       />
@@ -47,7 +64,7 @@ const BaseNode = ({ data, icon: Icon, colorClass, isSelected }) => {
 
       <Handle
         type="source"
-        position={Position.Bottom}
+        position={sourcePosition}
         className="!w-3 !h-3"
         style={{ backgroundColor: "var(--text-muted)" }}
       />
@@ -55,47 +72,123 @@ const BaseNode = ({ data, icon: Icon, colorClass, isSelected }) => {
   );
 };
 
-export const DatabaseNode = memo(({ data, selected }) => (
+export const DatabaseNode = memo(({ data, selected, targetPosition, sourcePosition }) => (
   <BaseNode
     data={data}
     icon={Database}
     colorClass="border-emerald-500/50 text-emerald-400"
     isSelected={selected}
+    targetPosition={targetPosition}
+    sourcePosition={sourcePosition}
   />
 ));
 
-export const ServerNode = memo(({ data, selected }) => (
+export const ServerNode = memo(({ data, selected, targetPosition, sourcePosition }) => (
   <BaseNode
     data={data}
     icon={Server}
     colorClass="border-blue-500/50 text-blue-400"
     isSelected={selected}
+    targetPosition={targetPosition}
+    sourcePosition={sourcePosition}
   />
 ));
 
-export const ClientNode = memo(({ data, selected }) => (
+export const ClientNode = memo(({ data, selected, targetPosition, sourcePosition }) => (
   <BaseNode
     data={data}
     icon={Smartphone}
     colorClass="border-purple-500/50 text-purple-400"
     isSelected={selected}
+    targetPosition={targetPosition}
+    sourcePosition={sourcePosition}
   />
 ));
 
-export const LoadBalancerNode = memo(({ data, selected }) => (
+export const LoadBalancerNode = memo(({ data, selected, targetPosition, sourcePosition }) => (
   <BaseNode
     data={data}
     icon={Globe}
     colorClass="border-orange-500/50 text-orange-400"
     isSelected={selected}
+    targetPosition={targetPosition}
+    sourcePosition={sourcePosition}
   />
 ));
 
-export const CacheNode = memo(({ data, selected }) => (
+export const CacheNode = memo(({ data, selected, targetPosition, sourcePosition }) => (
   <BaseNode
     data={data}
     icon={Layers}
     colorClass="border-yellow-500/50 text-yellow-400"
     isSelected={selected}
+    targetPosition={targetPosition}
+    sourcePosition={sourcePosition}
   />
 ));
+
+// Container for a Mermaid subgraph (VPC, region, bounded context, ...)
+export const GroupNode = memo(
+  ({
+    id,
+    data,
+    selected,
+    targetPosition = Position.Top,
+    sourcePosition = Position.Bottom,
+  }) => {
+    const { setNodes } = useReactFlow();
+    const collapsed = Boolean(data.collapsed);
+
+    const handleToggle = (e) => {
+      e.stopPropagation();
+      setNodes((nds) => toggleGroupCollapsed(nds, id));
+    };
+
+    return (
+      <div
+        className="w-full h-full rounded-2xl border-2 border-dashed transition-all duration-200"
+        style={{
+          backgroundColor: "var(--bg-overlay)",
+          borderColor: selected ? "var(--accent-blue)" : "var(--node-border)",
+          boxShadow: selected ? "var(--accent-blue-glow)" : "none",
+        }}
+      >
+        <Handle
+          type="target"
+          position={targetPosition}
+          className="!w-3 !h-3"
+          style={{ backgroundColor: "var(--text-muted)" }}
+        />
+
+        <div className="flex items-center gap-2 px-3 h-10">
+          <button
+            onClick={handleToggle}
+            className="nodrag p-0.5 rounded transition-colors hover:bg-[var(--interactive-hover)]"
+            style={{ color: "var(--text-secondary)" }}
+            title={collapsed ? "Expand group" : "Collapse group"}
+          >
+            {collapsed ? (
+              <ChevronRight className="w-4 h-4" />
+            ) : (
+              <ChevronDown className="w-4 h-4" />
+            )}
+          </button>
+          <Boxes className="w-4 h-4" style={{ color: "var(--accent-blue)" }} />
+          <span
+            className="text-xs font-semibold uppercase tracking-wider truncate"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            {data.label}
+          </span>
+        </div>
+
+        <Handle
+          type="source"
+          position={sourcePosition}
+          className="!w-3 !h-3"
+          style={{ backgroundColor: "var(--text-muted)" }}
+        />
+      </div>
+    );
+  }
+);
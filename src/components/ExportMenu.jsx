@@ -0,0 +1,151 @@
+import { ImageDown, Loader2 } from "lucide-react";
+import { useState } from "react";
+import { useTheme } from "../hooks/useTheme";
+import { EXPORT_FORMATS, EXPORT_SCALES } from "../services/exportService";
+import { themes } from "../themes";
+
+const OptionGroup = ({ label, options, value, onChange }) => (
+  <div className="space-y-1.5">
+    <div
+      className="text-[10px] font-semibold uppercase tracking-wider"
+      style={{ color: "var(--text-muted)" }}
+    >
+      {label}
+    </div>
+    <div className="flex gap-1">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          className="flex-1 px-2 py-1 rounded text-xs font-medium transition-colors"
+          style={{
+            color:
+              value === option.value
+                ? "var(--accent-blue)"
+                : "var(--text-secondary)",
+            backgroundColor:
+              value === option.value
+                ? "var(--accent-blue-glow)"
+                : "var(--interactive-bg)",
+          }}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Toolbar button with a popover for exporting a diagram as SVG, PNG or PDF.
+ * `onExport` receives `{format, scale, transparent, theme}`.
+ */
+const ExportMenu = ({ onExport, align = "right" }) => {
+  const { themeName } = useTheme();
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState("png");
+  const [scale, setScale] = useState(2);
+  const [transparent, setTransparent] = useState(false);
+  const [theme, setTheme] = useState(themeName);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      await onExport({ format, scale, transparent, theme });
+      setIsOpen(false);
+    } catch (err) {
+      console.error("Export failed:", err);
+      setError(err.message || "Export failed");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="p-1.5 rounded transition-colors"
+        style={{
+          color: isOpen ? "var(--accent-blue)" : "var(--text-secondary)",
+        }}
+        title="Export Image"
+      >
+        <ImageDown className="w-4 h-4" />
+      </button>
+
+      {isOpen && (
+        <div
+          className={`absolute top-full mt-2 w-56 p-3 rounded-lg space-y-3 z-20 ${
+            align === "left" ? "left-0" : "right-0"
+          }`}
+          style={{
+            backgroundColor: "var(--bg-secondary)",
+            border: "1px solid var(--border-primary)",
+            boxShadow: "var(--shadow-xl)",
+          }}
+        >
+          <OptionGroup
+            label="Format"
+            options={EXPORT_FORMATS.map((value) => ({
+              value,
+              label: value.toUpperCase(),
+            }))}
+            value={format}
+            onChange={setFormat}
+          />
+          {format === "png" && (
+            <OptionGroup
+              label="Resolution"
+              options={EXPORT_SCALES.map((value) => ({
+                value,
+                label: `${value}x`,
+              }))}
+              value={scale}
+              onChange={setScale}
+            />
+          )}
+          <OptionGroup
+            label="Colors"
+            options={Object.values(themes).map((option) => ({
+              value: option.name,
+              label: option.label,
+            }))}
+            value={theme}
+            onChange={setTheme}
+          />
+          <label
+            className="flex items-center gap-2 text-xs cursor-pointer"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            <input
+              type="checkbox"
+              checked={transparent}
+              onChange={(e) => setTransparent(e.target.checked)}
+            />
+            Transparent background
+          </label>
+
+          {error && (
+            <p className="text-xs text-red-400">{error}</p>
+          )}
+
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded text-xs font-medium text-white transition-colors disabled:opacity-50"
+            style={{ backgroundColor: "var(--accent-blue)" }}
+          >
+            {isExporting && <Loader2 className="w-3 h-3 animate-spin" />}
+            Download
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,116 @@
+import { Download, Trash2, Upload } from "lucide-react";
+import { useRef, useState } from "react";
+import { downloadFile } from "../services/exportService";
+import {
+    clearRecordedFixtures,
+    FIXTURE_EXTENSION,
+    getRecordedFixtures,
+    readFixtureFile,
+} from "../services/fixtureService";
+
+const countResponses = (fixture) => Object.keys(fixture?.responses || {}).length;
+
+// Settings section for record-and-replay. Recording and the loaded fixture are
+// saved with the rest of the settings; downloading and clearing apply at once.
+const FixturePanel = ({ recording, onRecordingChange, isReplay, fixture, onFixtureChange }) => {
+    const [recordedCount, setRecordedCount] = useState(() => countResponses(getRecordedFixtures()));
+    const [error, setError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const handleDownload = () => {
+        const recorded = getRecordedFixtures();
+        // Pretty-printed so fixtures diff cleanly when kept next to tests
+        downloadFile(JSON.stringify(recorded, null, 2), `recording${FIXTURE_EXTENSION}`, "application/json");
+    };
+
+    const handleClear = () => {
+        clearRecordedFixtures();
+        setRecordedCount(0);
+    };
+
+    const handleLoad = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+            const loaded = await readFixtureFile(file);
+            onFixtureChange({ ...loaded, fileName: file.name });
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <label
+                className="text-sm font-medium"
+                style={{ color: "var(--text-secondary)" }}
+            >
+                Record & replay
+            </label>
+            {isReplay && (
+                <div className="space-y-2">
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept={`${FIXTURE_EXTENSION},application/json`}
+                        onChange={handleLoad}
+                        className="hidden"
+                    />
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className="w-full flex items-center justify-center gap-2 px-4 py-3 rounded-xl text-sm transition-colors bg-black/5 hover:bg-black/10"
+                        style={{ color: "var(--text-primary)" }}
+                    >
+                        <Upload className="w-4 h-4" />
+                        {fixture ? "Load another fixture file" : "Load fixture file"}
+                    </button>
+                    <p className="text-xs text-gray-500">
+                        {fixture
+                            ? `${fixture.fileName || "Fixture file"}: ${countResponses(fixture)} recorded responses. Requests that were not recorded fail instead of reaching a model.`
+                            : "Replays responses recorded with a real provider, so flows run without network access."}
+                    </p>
+                    {error && <p className="text-xs text-red-400">{error}</p>}
+                </div>
+            )}
+            <label
+                className="flex items-center gap-2 text-sm cursor-pointer"
+                style={{ color: "var(--text-secondary)" }}
+            >
+                <input
+                    type="checkbox"
+                    checked={recording}
+                    onChange={(e) => onRecordingChange(e.target.checked)}
+                />
+                Record AI requests and replies to a fixture file
+            </label>
+            <div className="flex items-center justify-between text-xs text-gray-500">
+                <span>
+                    {recordedCount} recorded{" "}
+                    {recordedCount === 1 ? "response" : "responses"}
+                </span>
+                <div className="flex items-center gap-1">
+                    <button
+                        onClick={handleDownload}
+                        disabled={!recordedCount}
+                        className="flex items-center gap-1 px-2 py-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-40"
+                    >
+                        <Download className="w-3 h-3" />
+                        Download
+                    </button>
+                    <button
+                        onClick={handleClear}
+                        disabled={!recordedCount}
+                        className="flex items-center gap-1 px-2 py-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-40"
+                    >
+                        <Trash2 className="w-3 h-3" />
+                        Clear
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FixturePanel;
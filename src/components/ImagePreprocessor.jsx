@@ -0,0 +1,291 @@
+import { Crop, Loader2, RotateCcw, RotateCw, Sparkles, Wand2 } from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+import {
+  decodeImage,
+  estimateSkew,
+  getOutputSize,
+  IMAGE_SIZE_OPTIONS,
+  preprocessImage,
+  renderImage,
+} from "../services/imageService";
+
+// Longest side of the on-screen preview; edits redraw from this smaller copy
+const PREVIEW_SIZE = 1200;
+// Drags smaller than this (as a fraction of the image) are treated as clicks
+const MIN_CROP = 0.02;
+
+const clampUnit = (value) => Math.min(Math.max(value, 0), 1);
+
+const formatBytes = (bytes) =>
+  bytes < 1024 * 1024
+    ? `${Math.round(bytes / 1024)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const toolButtonClass =
+  "flex items-center gap-1.5 px-2.5 py-1.5 rounded-md text-xs transition-colors hover:bg-black/5 disabled:opacity-40";
+
+// Preview of an uploaded image with rotate, straighten, crop, contrast and
+// size controls. onConfirm receives the prepared file to analyze.
+const ImagePreprocessor = ({ file, maxSize, onConfirm, onCancel }) => {
+  const [image, setImage] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [rotation, setRotation] = useState(0);
+  const [skew, setSkew] = useState(0);
+  const [enhance, setEnhance] = useState(false);
+  const [crop, setCrop] = useState(null);
+  const [targetSize, setTargetSize] = useState(maxSize);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+  // Where the current crop drag started, in fractions of the preview
+  const dragStartRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let decoded = null;
+    decodeImage(file)
+      .then((bitmap) => {
+        decoded = bitmap;
+        if (cancelled) {
+          bitmap.close();
+          return;
+        }
+        setImage(bitmap);
+        setPreview(renderImage(bitmap, { maxSize: PREVIEW_SIZE }));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+      decoded?.close();
+    };
+  }, [file]);
+
+  // The crop is drawn over the preview, so the preview itself is never cropped
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!preview || !canvas) return;
+    const rendered = renderImage(preview, { rotation, skew, enhance });
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+    canvas.getContext("2d").drawImage(rendered, 0, 0);
+  }, [preview, rotation, skew, enhance]);
+
+  const edits = { rotation, skew, crop, enhance, maxSize: targetSize };
+  const output = image && getOutputSize(image, edits);
+
+  // A crop is relative to the rotated image, so turning it invalidates the crop
+  const rotate = (quarterTurns) => {
+    setRotation((current) => (current + quarterTurns + 4) % 4);
+    setCrop(null);
+  };
+
+  const straighten = (degrees) => {
+    setSkew(degrees);
+    setCrop(null);
+  };
+
+  const pointAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: clampUnit((e.clientX - rect.left) / rect.width),
+      y: clampUnit((e.clientY - rect.top) / rect.height),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStartRef.current = pointAt(e);
+    setCrop(null);
+  };
+
+  const handlePointerMove = (e) => {
+    const start = dragStartRef.current;
+    if (!start) return;
+    const end = pointAt(e);
+    setCrop({
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y),
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null;
+    setCrop((current) =>
+      current && (current.width < MIN_CROP || current.height < MIN_CROP)
+        ? null
+        : current
+    );
+  };
+
+  const handleConfirm = async () => {
+    setIsProcessing(true);
+    try {
+      onConfirm(await preprocessImage(file, edits, image));
+    } catch (err) {
+      console.error("Preparing the image failed:", err);
+      setError(err.message);
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <div
+      className="w-full max-w-4xl mx-auto mt-10 p-6 rounded-xl space-y-4"
+      style={{
+        border: "1px solid var(--border-primary)",
+        backgroundColor: "var(--bg-secondary)",
+      }}
+    >
+      <div>
+        <p
+          className="text-lg font-medium"
+          style={{ color: "var(--text-primary)" }}
+        >
+          Prepare the image
+        </p>
+        <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+          Drag over the image to keep only the diagram. Straighten and enhance
+          photos of whiteboards or paper for a better reading.
+        </p>
+      </div>
+
+      <div
+        className="flex flex-wrap items-center gap-1"
+        style={{ color: "var(--text-secondary)" }}
+      >
+        <button onClick={() => rotate(-1)} disabled={!image} className={toolButtonClass} title="Rotate left">
+          <RotateCcw className="w-4 h-4" />
+        </button>
+        <button onClick={() => rotate(1)} disabled={!image} className={toolButtonClass} title="Rotate right">
+          <RotateCw className="w-4 h-4" />
+        </button>
+        <label className="flex items-center gap-2 px-2.5 text-xs">
+          Straighten
+          <input
+            type="range"
+            min={-15}
+            max={15}
+            step={0.5}
+            value={skew}
+            onChange={(e) => straighten(Number(e.target.value))}
+            disabled={!image}
+            className="w-28"
+          />
+          <span className="w-10 tabular-nums">{skew}°</span>
+        </label>
+        <button
+          onClick={() => straighten(estimateSkew(preview, rotation))}
+          disabled={!preview}
+          className={toolButtonClass}
+          title="Detect the tilt of a photo"
+        >
+          <Wand2 className="w-4 h-4" />
+          Auto
+        </button>
+        <button
+          onClick={() => setEnhance((current) => !current)}
+          disabled={!image}
+          className={toolButtonClass}
+          style={enhance ? { color: "var(--accent-blue)" } : undefined}
+          aria-pressed={enhance}
+        >
+          <Sparkles className="w-4 h-4" />
+          Enhance contrast
+        </button>
+        <button onClick={() => setCrop(null)} disabled={!crop} className={toolButtonClass}>
+          <Crop className="w-4 h-4" />
+          Clear crop
+        </button>
+        <label className="ml-auto flex items-center gap-2 text-xs">
+          Max size
+          <select
+            value={targetSize}
+            onChange={(e) => setTargetSize(Number(e.target.value))}
+            className="px-2 py-1 rounded-md outline-none"
+            style={{
+              backgroundColor: "var(--bg-tertiary)",
+              border: "1px solid var(--border-secondary)",
+              color: "var(--text-primary)",
+            }}
+          >
+            {IMAGE_SIZE_OPTIONS.map((size) => (
+              <option key={size} value={size}>
+                {size ? `${size} px` : "Original"}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div
+        className="flex items-center justify-center min-h-[240px] p-2 rounded-lg"
+        style={{ backgroundColor: "var(--bg-overlay)" }}
+      >
+        {error ? (
+          <p className="text-sm text-red-400">{error}</p>
+        ) : !preview ? (
+          <Loader2
+            className="w-8 h-8 animate-spin"
+            style={{ color: "var(--accent-blue)" }}
+          />
+        ) : (
+          <div
+            className="relative overflow-hidden cursor-crosshair touch-none select-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+          >
+            <canvas
+              ref={canvasRef}
+              className="block max-w-full max-h-[55vh]"
+            />
+            {crop && (
+              <div
+                className="absolute pointer-events-none border-2 border-dashed"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.width * 100}%`,
+                  height: `${crop.height * 100}%`,
+                  borderColor: "var(--accent-blue)",
+                  boxShadow: "0 0 0 9999px rgba(0, 0, 0, 0.45)",
+                }}
+              />
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-xs" style={{ color: "var(--text-muted)" }}>
+          {image &&
+            `${image.width} × ${image.height} px, ${formatBytes(file.size)} → ${output.width} × ${output.height} px`}
+        </p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-sm transition-colors hover:bg-black/5"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!image || isProcessing}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ backgroundColor: "var(--accent-blue)" }}
+          >
+            {isProcessing && <Loader2 className="w-4 h-4 animate-spin" />}
+            Analyze image
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImagePreprocessor;
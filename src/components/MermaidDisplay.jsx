@@ -1,12 +1,22 @@
-import { Check, Copy, RotateCcw, ZoomIn, ZoomOut } from "lucide-react";
+import {
+  AlertTriangle,
+  Check,
+  Copy,
+  RotateCcw,
+  ZoomIn,
+  ZoomOut,
+} from "lucide-react";
 import mermaid from "mermaid";
 import { useEffect, useRef, useState } from "react";
 import { useTheme } from "../hooks/useTheme";
+import { exportMermaid } from "../services/exportService";
+import ExportMenu from "./ExportMenu";
 
 const MermaidDisplay = ({ chart }) => {
   const containerRef = useRef(null);
   const [scale, setScale] = useState(1);
   const [copied, setCopied] = useState(false);
+  const [renderError, setRenderError] = useState(null);
   const { themeName } = useTheme();
 
   // Re-initialize mermaid when theme changes
@@ -23,11 +33,29 @@ const MermaidDisplay = ({ chart }) => {
   }, [themeName]);
 
   useEffect(() => {
-    if (containerRef.current && chart) {
-      mermaid.render(`mermaid-${Date.now()}`, chart).then(({ svg }) => {
+    if (!containerRef.current || !chart) return;
+    let cancelled = false;
+    const id = `mermaid-${Date.now()}`;
+
+    mermaid
+      .render(id, chart)
+      .then(({ svg }) => {
+        if (cancelled) return;
         containerRef.current.innerHTML = svg;
+        setRenderError(null);
+      })
+      .catch((error) => {
+        console.error("Mermaid render failed:", error);
+        // Mermaid leaves its temporary render container behind on failure
+        document.getElementById(`d${id}`)?.remove();
+        if (cancelled) return;
+        containerRef.current.innerHTML = "";
+        setRenderError(error?.message || String(error));
       });
-    }
+
+    return () => {
+      cancelled = true;
+    };
   }, [chart, themeName]);
 
   const handleZoomIn = () => setScale((s) => Math.min(s + 0.2, 3));
@@ -44,6 +72,9 @@ const MermaidDisplay = ({ chart }) => {
     }
   };
 
+  const handleExport = (options) =>
+    exportMermaid(chart, { ...options, fileName: "system-design-mermaid" });
+
   return (
     <div
       className="w-full h-full relative rounded-lg overflow-hidden flex flex-col"
@@ -110,8 +141,39 @@ const MermaidDisplay = ({ chart }) => {
             <Copy className="w-4 h-4" />
           )}
         </button>
+        <ExportMenu onExport={handleExport} />
       </div>
 
+      {renderError && (
+        <div
+          className="absolute inset-x-4 bottom-4 z-10 p-3 rounded-lg flex gap-2.5"
+          style={{
+            backgroundColor: "var(--bg-secondary)",
+            border: "1px solid var(--accent-orange)",
+            boxShadow: "var(--shadow-xl)",
+          }}
+        >
+          <AlertTriangle
+            className="w-4 h-4 shrink-0 mt-0.5"
+            style={{ color: "var(--accent-orange)" }}
+          />
+          <div className="min-w-0">
+            <p
+              className="text-sm font-medium"
+              style={{ color: "var(--text-primary)" }}
+            >
+              This Mermaid code could not be rendered
+            </p>
+            <pre
+              className="mt-1 text-xs font-mono whitespace-pre-wrap break-words max-h-32 overflow-auto"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              {renderError}
+            </pre>
+          </div>
+        </div>
+      )}
+
       {/* Diagram Container */}
       <div className="flex-1 overflow-auto p-4 flex">
         <div
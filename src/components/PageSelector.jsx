@@ -0,0 +1,144 @@
+import { Check, ChevronLeft, ChevronRight } from "lucide-react";
+import { useState } from "react";
+import { MAX_PDF_PAGES } from "../services/pdfService";
+
+// Lets the user order and deselect pages before they are analyzed together.
+// `pages` are {file, url} pairs; the caller owns the object URLs. `truncated`
+// lists the PDFs ({name, totalPages}) whose later pages were left out.
+const PageSelector = ({ pages, truncated = [], onConfirm, onCancel }) => {
+  const [order, setOrder] = useState(() => pages.map((_, index) => index));
+  const [deselected, setDeselected] = useState(() => new Set());
+
+  const selected = order.filter((index) => !deselected.has(index));
+
+  const toggle = (index) => {
+    setDeselected((current) => {
+      const next = new Set(current);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const move = (position, offset) => {
+    setOrder((current) => {
+      const next = [...current];
+      [next[position], next[position + offset]] = [next[position + offset], next[position]];
+      return next;
+    });
+  };
+
+  return (
+    <div
+      className="w-full max-w-4xl mx-auto mt-10 p-6 rounded-xl"
+      style={{
+        border: "1px solid var(--border-primary)",
+        backgroundColor: "var(--bg-secondary)",
+      }}
+    >
+      <p
+        className="text-lg font-medium"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Choose the pages to analyze
+      </p>
+      <p className="text-sm mb-4" style={{ color: "var(--text-secondary)" }}>
+        Pages are read in this order and merged into one diagram. Components
+        that appear on several pages are drawn once.
+      </p>
+      {truncated.map(({ name, totalPages }) => (
+        <p
+          key={name}
+          className="text-sm mb-4"
+          style={{ color: "var(--accent-orange)" }}
+        >
+          {name} has {totalPages} pages; only the first {MAX_PDF_PAGES} can
+          be analyzed.
+        </p>
+      ))}
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4 max-h-[60vh] overflow-auto p-1">
+        {order.map((index, position) => {
+          const isSelected = !deselected.has(index);
+          return (
+            <div
+              key={index}
+              className="flex flex-col gap-2 p-2 rounded-lg transition-opacity"
+              style={{
+                border: `2px solid ${isSelected ? "var(--accent-blue)" : "var(--border-secondary)"}`,
+                backgroundColor: "var(--bg-tertiary)",
+                opacity: isSelected ? 1 : 0.5,
+              }}
+            >
+              <button
+                onClick={() => toggle(index)}
+                className="relative aspect-[4/3] flex items-center justify-center rounded-md overflow-hidden"
+                style={{ backgroundColor: "var(--bg-overlay)" }}
+                title={isSelected ? "Leave this page out" : "Include this page"}
+              >
+                <img
+                  src={pages[index].url}
+                  alt={pages[index].file.name}
+                  className="max-w-full max-h-full object-contain"
+                />
+                {isSelected && (
+                  <span
+                    className="absolute top-1.5 right-1.5 p-0.5 rounded-full text-white"
+                    style={{ backgroundColor: "var(--accent-blue)" }}
+                  >
+                    <Check className="w-3 h-3" />
+                  </span>
+                )}
+              </button>
+              <div className="flex items-center justify-between gap-1">
+                <button
+                  onClick={() => move(position, -1)}
+                  disabled={position === 0}
+                  className="p-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-30"
+                  style={{ color: "var(--text-secondary)" }}
+                  title="Move earlier"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <span
+                  className="text-xs truncate"
+                  style={{ color: "var(--text-secondary)" }}
+                  title={pages[index].file.name}
+                >
+                  {pages[index].file.name}
+                </span>
+                <button
+                  onClick={() => move(position, 1)}
+                  disabled={position === order.length - 1}
+                  className="p-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-30"
+                  style={{ color: "var(--text-secondary)" }}
+                  title="Move later"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex items-center justify-end gap-2 mt-4">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-sm transition-colors hover:bg-black/5"
+          style={{ color: "var(--text-secondary)" }}
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onConfirm(selected.map((index) => pages[index].file))}
+          disabled={!selected.length}
+          className="px-4 py-2 rounded-lg text-sm font-semibold text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{ backgroundColor: "var(--accent-blue)" }}
+        >
+          Analyze {selected.length} {selected.length === 1 ? "page" : "pages"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PageSelector;
@@ -0,0 +1,136 @@
+import { Download, RotateCcw, Upload } from "lucide-react";
+import { useRef, useState } from "react";
+import { downloadFile } from "../services/exportService";
+import {
+    createPromptsFile,
+    formatPromptVersion,
+    getPromptStamp,
+    getPromptTemplate,
+    PROMPT_TEMPLATES,
+    PROMPT_VARIABLES,
+    PROMPTS_EXTENSION,
+    readPromptsFile,
+} from "../services/promptService";
+
+// Settings section for prompt templates. Edits, resets and imports change the
+// local copy and are saved (and versioned) with the rest of the settings.
+const PromptPanel = ({ texts, onTextsChange, variables, onVariablesChange, overrides, inputStyle }) => {
+    const [selectedId, setSelectedId] = useState(Object.keys(PROMPT_TEMPLATES)[0]);
+    const [error, setError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const selected = PROMPT_TEMPLATES[selectedId];
+    const text = texts[selectedId];
+    const isEdited = text !== getPromptTemplate(selectedId, overrides);
+
+    const handleExport = () => {
+        const file = createPromptsFile(texts, variables);
+        downloadFile(JSON.stringify(file, null, 2), `prompts${PROMPTS_EXTENSION}`, "application/json");
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+            const imported = await readPromptsFile(file);
+            onTextsChange({ ...texts, ...imported.templates });
+            onVariablesChange({ ...variables, ...imported.variables });
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <label
+                className="text-sm font-medium"
+                style={{ color: "var(--text-secondary)" }}
+            >
+                Prompts
+            </label>
+            {PROMPT_VARIABLES.map((variable) => (
+                <label key={variable.name} className="block space-y-1 text-xs text-gray-500">
+                    <span>
+                        {variable.label} <code>{`{{${variable.name}}}`}</code>
+                    </span>
+                    <textarea
+                        rows={3}
+                        value={variables[variable.name] || ""}
+                        onChange={(e) => onVariablesChange({ ...variables, [variable.name]: e.target.value })}
+                        placeholder={variable.placeholder}
+                        className="w-full px-3 py-2 rounded-xl outline-none text-sm resize-y placeholder:text-gray-400"
+                        style={inputStyle}
+                    />
+                </label>
+            ))}
+            <div className="flex items-center gap-3">
+                <select
+                    value={selectedId}
+                    onChange={(e) => setSelectedId(e.target.value)}
+                    className="flex-1 px-3 py-2 rounded-xl outline-none text-sm"
+                    style={inputStyle}
+                >
+                    {Object.entries(PROMPT_TEMPLATES).map(([id, template]) => (
+                        <option key={id} value={id}>
+                            {template.label}
+                        </option>
+                    ))}
+                </select>
+                <span className="text-xs text-gray-500 shrink-0">
+                    {formatPromptVersion(getPromptStamp(selectedId, overrides))}
+                    {isEdited && " · edited"}
+                </span>
+            </div>
+            <textarea
+                rows={10}
+                value={text}
+                onChange={(e) => onTextsChange({ ...texts, [selectedId]: e.target.value })}
+                spellCheck={false}
+                className="w-full px-3 py-2 rounded-xl outline-none text-xs font-mono resize-y"
+                style={inputStyle}
+            />
+            <p className="text-xs text-gray-500">
+                {selected.description}. Saving an edit creates a new version,
+                recorded with every design it produces.
+            </p>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept={`${PROMPTS_EXTENSION},application/json`}
+                onChange={handleImport}
+                className="hidden"
+            />
+            <div className="flex items-center justify-between text-xs text-gray-500">
+                <button
+                    onClick={() => onTextsChange({ ...texts, [selectedId]: selected.template })}
+                    disabled={text === selected.template}
+                    className="flex items-center gap-1 px-2 py-1 rounded-md transition-colors hover:bg-black/5 disabled:opacity-40"
+                >
+                    <RotateCcw className="w-3 h-3" />
+                    Reset to default
+                </button>
+                <div className="flex items-center gap-1">
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className="flex items-center gap-1 px-2 py-1 rounded-md transition-colors hover:bg-black/5"
+                    >
+                        <Upload className="w-3 h-3" />
+                        Import
+                    </button>
+                    <button
+                        onClick={handleExport}
+                        className="flex items-center gap-1 px-2 py-1 rounded-md transition-colors hover:bg-black/5"
+                    >
+                        <Download className="w-3 h-3" />
+                        Export
+                    </button>
+                </div>
+            </div>
+            {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+    );
+};
+
+export default PromptPanel;
@@ -1,19 +1,173 @@
 import { Check, Save, Settings, X } from "lucide-react";
 import { useState } from "react";
 import { useSettings } from "../context/SettingsContext";
+import { DEFAULT_CACHE_LIMIT_MB, trimCache } from "../services/cacheService";
+import { IMAGE_SIZE_OPTIONS } from "../services/imageService";
+import { DEFAULT_REQUEST_TIMEOUT } from "../services/llmService";
+import CachePanel from "./CachePanel";
+import CostPanel from "./CostPanel";
+import FixturePanel from "./FixturePanel";
+import PromptPanel from "./PromptPanel";
+import { applyPromptEdits, getPromptTemplate, PROMPT_TEMPLATES } from "../services/promptService";
+import { getProvider } from "../services/providers";
+
+// Selected-state classes per provider (spelled out so Tailwind keeps them)
+const PROVIDER_OPTIONS = [
+    {
+        id: "openai",
+        name: "OpenAI",
+        activeClass: "border-blue-500 bg-blue-500/10 text-blue-500",
+    },
+    {
+        id: "gemini",
+        name: "Gemini",
+        activeClass: "border-purple-500 bg-purple-500/10 text-purple-500",
+    },
+    {
+        id: "anthropic",
+        name: "Claude",
+        activeClass: "border-orange-500 bg-orange-500/10 text-orange-500",
+    },
+    {
+        id: "custom",
+        name: "Self-hosted",
+        activeClass: "border-emerald-500 bg-emerald-500/10 text-emerald-500",
+    },
+    {
+        id: "replay",
+        name: "Replay",
+        activeClass: "border-slate-500 bg-slate-500/10 text-slate-500",
+    },
+];
+
+// One model choice per task; image analysis only lists vision-capable models
+const MODEL_TASK_OPTIONS = [
+    { task: "vision", label: "Image analysis", requires: "vision" },
+    { task: "chat", label: "Chat" },
+    { task: "generation", label: "Design generation" },
+];
+
+const modelOptionLabel = (model) =>
+    model.jsonMode ? model.label : `${model.label} (no JSON mode)`;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Keeps price overrides whose input and output are both filled in and not negative
+const isPriceAmount = (value) => String(value).trim() !== "" && Number(value) >= 0;
+
+const normalizePrices = (prices) =>
+    Object.fromEntries(
+        Object.entries(prices)
+            .filter(([, price]) => isPriceAmount(price.input) && isPriceAmount(price.output))
+            .map(([model, price]) => [model, { input: Number(price.input), output: Number(price.output) }])
+    );
+
+const inputStyle = {
+    backgroundColor: "var(--bg-tertiary)",
+    border: "1px solid var(--border-secondary)",
+    color: "var(--text-primary)",
+};
 
 const SettingsModal = ({ isOpen, onClose }) => {
-    const { provider, setProvider, apiKey, setApiKey } = useSettings();
+    const {
+        provider,
+        setProvider,
+        apiKey,
+        setApiKey,
+        models,
+        setModels,
+        requestTimeout,
+        setRequestTimeout,
+        maxRetries,
+        setMaxRetries,
+        cacheEnabled,
+        setCacheEnabled,
+        cacheLimitMb,
+        setCacheLimitMb,
+        imagePreview,
+        setImagePreview,
+        imageMaxSize,
+        setImageMaxSize,
+        prices,
+        setPrices,
+        monthlyBudget,
+        setMonthlyBudget,
+        promptTemplates,
+        setPromptTemplates,
+        promptVariables,
+        setPromptVariables,
+        recordFixtures,
+        setRecordFixtures,
+        replayFixture,
+        setReplayFixture,
+        customBaseUrl,
+        setCustomBaseUrl,
+        customModel,
+        setCustomModel,
+        customVision,
+        setCustomVision,
+    } = useSettings();
     const [localKey, setLocalKey] = useState(apiKey);
     const [localProvider, setLocalProvider] = useState(provider);
+    const [localModels, setLocalModels] = useState(models);
+    const [localTimeout, setLocalTimeout] = useState(requestTimeout);
+    const [localRetries, setLocalRetries] = useState(maxRetries);
+    const [localCacheEnabled, setLocalCacheEnabled] = useState(cacheEnabled);
+    const [localCacheLimit, setLocalCacheLimit] = useState(cacheLimitMb);
+    const [localImagePreview, setLocalImagePreview] = useState(imagePreview);
+    const [localImageMaxSize, setLocalImageMaxSize] = useState(imageMaxSize);
+    const [localPrices, setLocalPrices] = useState(prices);
+    const [localBudget, setLocalBudget] = useState(monthlyBudget);
+    const [localPromptTexts, setLocalPromptTexts] = useState(() =>
+        Object.fromEntries(
+            Object.keys(PROMPT_TEMPLATES).map((id) => [id, getPromptTemplate(id, promptTemplates)])
+        )
+    );
+    const [localPromptVariables, setLocalPromptVariables] = useState(promptVariables);
+    const [localRecordFixtures, setLocalRecordFixtures] = useState(recordFixtures);
+    const [localReplayFixture, setLocalReplayFixture] = useState(replayFixture);
+    const [localBaseUrl, setLocalBaseUrl] = useState(customBaseUrl);
+    const [localModel, setLocalModel] = useState(customModel);
+    const [localVision, setLocalVision] = useState(customVision);
+    const isCustom = localProvider === "custom";
+    const isReplay = localProvider === "replay";
+    const adapter = getProvider(localProvider);
     const [saved, setSaved] = useState(false);
 
     // Sync local state when modal opens
     if (!isOpen) return null;
 
+    const handleModelChange = (task, modelId) => {
+        setLocalModels((current) => ({
+            ...current,
+            [localProvider]: { ...current[localProvider], [task]: modelId },
+        }));
+    };
+
     const handleSave = () => {
         setProvider(localProvider);
         setApiKey(localKey);
+        setModels(localModels);
+        setRequestTimeout(clamp(Number(localTimeout) || DEFAULT_REQUEST_TIMEOUT, 5, 600));
+        setMaxRetries(clamp(Math.round(Number(localRetries) || 0), 0, 5));
+        const limitMb = clamp(Number(localCacheLimit) || DEFAULT_CACHE_LIMIT_MB, 1, 1000);
+        setCacheEnabled(localCacheEnabled);
+        setCacheLimitMb(limitMb);
+        // A lower limit takes effect now rather than on the next write
+        trimCache(limitMb * 1024 * 1024).catch((error) => {
+            console.warn("Trimming the cache failed:", error);
+        });
+        setImagePreview(localImagePreview);
+        setImageMaxSize(localImageMaxSize);
+        setPrices(normalizePrices(localPrices));
+        setMonthlyBudget(Math.max(Number(localBudget) || 0, 0));
+        setPromptTemplates(applyPromptEdits(promptTemplates, localPromptTexts));
+        setPromptVariables(localPromptVariables);
+        setRecordFixtures(localRecordFixtures);
+        setReplayFixture(localReplayFixture);
+        setCustomBaseUrl(localBaseUrl.trim());
+        setCustomModel(localModel.trim());
+        setCustomVision(localVision);
         setSaved(true);
         setTimeout(() => {
             setSaved(false);
@@ -57,7 +211,7 @@ const SettingsModal = ({ isOpen, onClose }) => {
                 </div>
 
                 {/* Content */}
-                <div className="p-6 space-y-6">
+                <div className="p-6 space-y-6 max-h-[70vh] overflow-y-auto">
                     {/* Provider Selection */}
                     <div className="space-y-3">
                         <label
@@ -67,53 +221,244 @@ const SettingsModal = ({ isOpen, onClose }) => {
                             AI Provider
                         </label>
                         <div className="grid grid-cols-2 gap-3">
-                            <button
-                                onClick={() => setLocalProvider("openai")}
-                                className={`flex items-center justify-center gap-2 px-4 py-3 rounded-xl border-2 transition-all ${localProvider === "openai"
-                                        ? "border-blue-500 bg-blue-500/10 text-blue-500"
-                                        : "border-transparent bg-black/5 hover:bg-black/10 text-gray-500"
-                                    }`}
+                            {PROVIDER_OPTIONS.map((option) => (
+                                <button
+                                    key={option.id}
+                                    onClick={() => setLocalProvider(option.id)}
+                                    className={`flex items-center justify-center gap-2 px-4 py-3 rounded-xl border-2 transition-all ${localProvider === option.id
+                                            ? option.activeClass
+                                            : "border-transparent bg-black/5 hover:bg-black/10 text-gray-500"
+                                        }`}
+                                >
+                                    <div className="font-semibold">{option.name}</div>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* OpenAI-compatible server details */}
+                    {isCustom && (
+                        <div className="space-y-3">
+                            <label
+                                className="text-sm font-medium"
+                                style={{ color: "var(--text-secondary)" }}
+                            >
+                                Endpoint
+                            </label>
+                            <input
+                                type="url"
+                                value={localBaseUrl}
+                                onChange={(e) => setLocalBaseUrl(e.target.value)}
+                                placeholder="http://localhost:11434/v1"
+                                className="w-full px-4 py-3 rounded-xl outline-none transition-all placeholder:text-gray-400"
+                                style={inputStyle}
+                            />
+                            <input
+                                type="text"
+                                value={localModel}
+                                onChange={(e) => setLocalModel(e.target.value)}
+                                placeholder="Model name, e.g. llama3.2-vision"
+                                className="w-full px-4 py-3 rounded-xl outline-none transition-all placeholder:text-gray-400"
+                                style={inputStyle}
+                            />
+                            <label
+                                className="flex items-center gap-2 text-sm cursor-pointer"
+                                style={{ color: "var(--text-secondary)" }}
                             >
-                                <div className="font-semibold">OpenAI</div>
-                            </button>
-                            <button
-                                onClick={() => setLocalProvider("gemini")}
-                                className={`flex items-center justify-center gap-2 px-4 py-3 rounded-xl border-2 transition-all ${localProvider === "gemini"
-                                        ? "border-purple-500 bg-purple-500/10 text-purple-500"
-                                        : "border-transparent bg-black/5 hover:bg-black/10 text-gray-500"
-                                    }`}
+                                <input
+                                    type="checkbox"
+                                    checked={localVision}
+                                    onChange={(e) => setLocalVision(e.target.checked)}
+                                />
+                                Model supports image input (vision)
+                            </label>
+                            <p className="text-xs text-gray-500">
+                                Any OpenAI-compatible server works (Ollama, vLLM,
+                                LM Studio). It must allow requests from this page
+                                via CORS, e.g. set OLLAMA_ORIGINS for Ollama.
+                            </p>
+                        </div>
+                    )}
+
+                    {/* API Key Input (replay needs none) */}
+                    {!isReplay && (
+                        <div className="space-y-3">
+                            <label
+                                className="text-sm font-medium"
+                                style={{ color: "var(--text-secondary)" }}
+                            >
+                                API Key{isCustom && " (optional)"}
+                            </label>
+                            <input
+                                type="password"
+                                value={localKey}
+                                onChange={(e) => setLocalKey(e.target.value)}
+                                placeholder={`Enter your ${adapter.label} API Key`}
+                                className="w-full px-4 py-3 rounded-xl outline-none transition-all placeholder:text-gray-400"
+                                style={inputStyle}
+                            />
+                            <p className="text-xs text-gray-500">
+                                {isCustom
+                                    ? "Requests go straight from your browser to this endpoint; nothing is sent to public AI APIs."
+                                    : "Your key is stored locally in your browser and never sent to our servers."}
+                            </p>
+                        </div>
+                    )}
+
+                    {/* Model per task (self-hosted endpoints and replay have no catalog) */}
+                    {adapter.models.length > 0 && (
+                        <div className="space-y-3">
+                            <label
+                                className="text-sm font-medium"
+                                style={{ color: "var(--text-secondary)" }}
                             >
-                                <div className="font-semibold">Gemini</div>
-                            </button>
+                                Models
+                            </label>
+                            {MODEL_TASK_OPTIONS.map(({ task, label, requires }) => (
+                                <div key={task} className="flex items-center gap-3">
+                                    <span
+                                        className="w-36 shrink-0 text-sm"
+                                        style={{ color: "var(--text-secondary)" }}
+                                    >
+                                        {label}
+                                    </span>
+                                    <select
+                                        value={localModels[localProvider]?.[task] || adapter.defaultModels[task]}
+                                        onChange={(e) => handleModelChange(task, e.target.value)}
+                                        className="flex-1 px-3 py-2 rounded-xl outline-none text-sm"
+                                        style={inputStyle}
+                                    >
+                                        {adapter.models
+                                            .filter((model) => !requires || model[requires])
+                                            .map((model) => (
+                                                <option key={model.id} value={model.id}>
+                                                    {modelOptionLabel(model)}
+                                                </option>
+                                            ))}
+                                    </select>
+                                </div>
+                            ))}
+                            <p className="text-xs text-gray-500">
+                                Models without a JSON mode are asked for JSON in
+                                the prompt, which is slightly less reliable.
+                            </p>
                         </div>
+                    )}
+
+                    {/* Timeout and retries */}
+                    <div className="space-y-3">
+                        <label
+                            className="text-sm font-medium"
+                            style={{ color: "var(--text-secondary)" }}
+                        >
+                            Requests
+                        </label>
+                        <div className="grid grid-cols-2 gap-3">
+                            <label className="space-y-1 text-xs text-gray-500">
+                                <span>Timeout (seconds)</span>
+                                <input
+                                    type="number"
+                                    min={5}
+                                    max={600}
+                                    value={localTimeout}
+                                    onChange={(e) => setLocalTimeout(e.target.value)}
+                                    className="w-full px-3 py-2 rounded-xl outline-none text-sm"
+                                    style={inputStyle}
+                                />
+                            </label>
+                            <label className="space-y-1 text-xs text-gray-500">
+                                <span>Retries</span>
+                                <input
+                                    type="number"
+                                    min={0}
+                                    max={5}
+                                    value={localRetries}
+                                    onChange={(e) => setLocalRetries(e.target.value)}
+                                    className="w-full px-3 py-2 rounded-xl outline-none text-sm"
+                                    style={inputStyle}
+                                />
+                            </label>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                            Rate-limited (429) and server (5xx) errors are retried
+                            with increasing delays, following the provider's
+                            Retry-After hint when it sends one.
+                        </p>
                     </div>
 
-                    {/* API Key Input */}
+                    {/* Upload preparation */}
                     <div className="space-y-3">
                         <label
                             className="text-sm font-medium"
                             style={{ color: "var(--text-secondary)" }}
                         >
-                            API Key
+                            Images
                         </label>
-                        <input
-                            type="password"
-                            value={localKey}
-                            onChange={(e) => setLocalKey(e.target.value)}
-                            placeholder={`Enter your ${localProvider === "openai" ? "OpenAI" : "Gemini"
-                                } API Key`}
-                            className="w-full px-4 py-3 rounded-xl outline-none transition-all placeholder:text-gray-400"
-                            style={{
-                                backgroundColor: "var(--bg-tertiary)",
-                                border: "1px solid var(--border-secondary)",
-                                color: "var(--text-primary)",
-                            }}
-                        />
+                        <label
+                            className="flex items-center gap-2 text-sm cursor-pointer"
+                            style={{ color: "var(--text-secondary)" }}
+                        >
+                            <input
+                                type="checkbox"
+                                checked={localImagePreview}
+                                onChange={(e) => setLocalImagePreview(e.target.checked)}
+                            />
+                            Preview, crop and straighten images before analysis
+                        </label>
+                        <div className="flex items-center gap-3">
+                            <span className="text-xs text-gray-500">Downscale to</span>
+                            <select
+                                value={localImageMaxSize}
+                                onChange={(e) => setLocalImageMaxSize(Number(e.target.value))}
+                                className="px-3 py-1.5 rounded-xl outline-none text-sm"
+                                style={inputStyle}
+                            >
+                                {IMAGE_SIZE_OPTIONS.map((size) => (
+                                    <option key={size} value={size}>
+                                        {size ? `${size} px` : "Original size"}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
                         <p className="text-xs text-gray-500">
-                            Your key is stored locally in your browser and never sent to our
-                            servers.
+                            Large photos cost more tokens without reading better.
+                            HEIC and WebP images are converted to PNG.
                         </p>
                     </div>
+
+                    <PromptPanel
+                        texts={localPromptTexts}
+                        onTextsChange={setLocalPromptTexts}
+                        variables={localPromptVariables}
+                        onVariablesChange={setLocalPromptVariables}
+                        overrides={promptTemplates}
+                        inputStyle={inputStyle}
+                    />
+
+                    <CachePanel
+                        enabled={localCacheEnabled}
+                        onEnabledChange={setLocalCacheEnabled}
+                        limitMb={localCacheLimit}
+                        onLimitChange={setLocalCacheLimit}
+                        inputStyle={inputStyle}
+                    />
+
+                    <FixturePanel
+                        recording={localRecordFixtures}
+                        onRecordingChange={setLocalRecordFixtures}
+                        isReplay={isReplay}
+                        fixture={localReplayFixture}
+                        onFixtureChange={setLocalReplayFixture}
+                    />
+
+                    <CostPanel
+                        budget={localBudget}
+                        onBudgetChange={setLocalBudget}
+                        prices={localPrices}
+                        onPricesChange={setLocalPrices}
+                        customModel={localModel.trim()}
+                        inputStyle={inputStyle}
+                    />
                 </div>
 
                 {/* Footer */}
@@ -0,0 +1,73 @@
+import { useState } from "react";
+
+const isBox = (bbox) =>
+  ["x", "y", "width", "height"].every((key) => Number.isFinite(bbox?.[key]));
+
+// The uploaded image with the regions where the model read each component.
+// Clicking a region selects its node; the selected node's region is
+// highlighted. The overlay is an SVG sized like the image's object-contain
+// box, so regions line up at any panel size.
+const SourceImage = ({ src, nodes = [], selectedId, onSelect }) => {
+  const [size, setSize] = useState(null);
+
+  // Larger regions first, so smaller ones nested inside stay clickable
+  const regions = nodes
+    .filter((node) => isBox(node.data?.bbox))
+    .sort(
+      (a, b) =>
+        b.data.bbox.width * b.data.bbox.height -
+        a.data.bbox.width * a.data.bbox.height
+    );
+
+  return (
+    <div className="relative w-full h-full">
+      <img
+        src={src}
+        alt="Original System Design"
+        onLoad={(e) =>
+          setSize({
+            width: e.currentTarget.naturalWidth,
+            height: e.currentTarget.naturalHeight,
+          })
+        }
+        className="absolute inset-0 w-full h-full object-contain"
+        style={{ filter: "drop-shadow(var(--shadow-xl))" }}
+      />
+      {size && regions.length > 0 && (
+        <svg
+          className="absolute inset-0 w-full h-full pointer-events-none"
+          viewBox={`0 0 ${size.width} ${size.height}`}
+          preserveAspectRatio="xMidYMid meet"
+        >
+          {regions.map((node) => {
+            const { x, y, width, height } = node.data.bbox;
+            const isSelected = node.id === selectedId;
+            return (
+              <rect
+                key={node.id}
+                x={x * size.width}
+                y={y * size.height}
+                width={width * size.width}
+                height={height * size.height}
+                rx={4}
+                onClick={() => onSelect(node)}
+                className={`pointer-events-auto cursor-pointer transition-opacity ${
+                  isSelected ? "opacity-100" : "opacity-40 hover:opacity-100"
+                }`}
+                fill={isSelected ? "rgba(59, 130, 246, 0.15)" : "transparent"}
+                stroke="var(--accent-blue)"
+                strokeWidth={isSelected ? 3 : 2}
+                strokeDasharray={isSelected ? undefined : "6 4"}
+                vectorEffect="non-scaling-stroke"
+              >
+                <title>{node.data.label}</title>
+              </rect>
+            );
+          })}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default SourceImage;
@@ -1,32 +1,159 @@
-import React, { useCallback } from "react";
+import { ArrowDown, ArrowRight, Download, LayoutGrid } from "lucide-react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import ReactFlow, {
   addEdge,
   Background,
   Controls,
+  Panel,
   useEdgesState,
   useNodesState,
+  useReactFlow,
 } from "reactflow";
 import "reactflow/dist/style.css";
 import { nodeTypes } from "../config/nodeTypes";
 import { useTheme } from "../hooks/useTheme";
+import { exportDrawio } from "../services/drawioService";
+import { downloadFile, exportCanvas } from "../services/exportService";
+import { isGroupNode, resolveCollapsedEdges } from "../services/groupService";
+import { layoutGraph } from "../services/layoutService";
+import ExportMenu from "./ExportMenu";
 
-const SystemDiagram = ({ initialNodes, initialEdges, onNodeClick }) => {
-  const [nodes, , onNodesChange] = useNodesState(initialNodes);
-  const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
+// Change types that only reflect UI state and never alter the graph itself
+const PASSIVE_CHANGES = new Set(["select", "dimensions"]);
+
+const LAYOUT_OPTIONS = [
+  { direction: "TD", label: "Top-down layout", icon: ArrowDown },
+  { direction: "LR", label: "Left-right layout", icon: ArrowRight },
+];
+
+// Positions are synced once a drag ends (its last change has `dragging` off),
+// not on every mousemove along the way
+const isGraphEdit = (changes) =>
+  changes.some(
+    (change) =>
+      !PASSIVE_CHANGES.has(change.type) &&
+      !(change.type === "position" && change.dragging)
+  );
+
+const SystemDiagram = ({
+  initialNodes,
+  initialEdges,
+  initialDirection = "TD",
+  onNodeClick,
+  onGraphChange,
+  selectedNodeId,
+}) => {
+  const [nodes, setNodes, applyNodesChange] = useNodesState(initialNodes);
+  const [edges, setEdges, applyEdgesChange] = useEdgesState(initialEdges);
+  const [direction, setDirection] = useState(initialDirection);
   const { themeName } = useTheme();
+  const { fitView, getNodes } = useReactFlow();
+  const isDirty = useRef(false);
+  const containerRef = useRef(null);
+  // Last selection already shown on the canvas, so only outside ones move it
+  const shownSelectionRef = useRef(null);
 
   const nodeTypesMemo = React.useMemo(() => nodeTypes, []);
 
+  const onNodesChange = useCallback(
+    (changes) => {
+      if (isGraphEdit(changes)) isDirty.current = true;
+      applyNodesChange(changes);
+    },
+    [applyNodesChange]
+  );
+
+  const onEdgesChange = useCallback(
+    (changes) => {
+      if (isGraphEdit(changes)) isDirty.current = true;
+      applyEdgesChange(changes);
+    },
+    [applyEdgesChange]
+  );
+
   const onConnect = useCallback(
-    (params) => setEdges((eds) => addEdge(params, eds)),
+    (params) => {
+      isDirty.current = true;
+      setEdges((eds) => addEdge({ ...params, animated: true }, eds));
+    },
     [setEdges]
   );
 
+  const handleRelayout = useCallback(
+    (nextDirection) => {
+      const laidOut = layoutGraph(
+        { nodes, edges },
+        { direction: nextDirection }
+      );
+      isDirty.current = true;
+      setDirection(nextDirection);
+      setNodes(laidOut.nodes);
+      // Wait for React Flow to pick up the new positions before fitting
+      requestAnimationFrame(() => fitView({ duration: 300 }));
+    },
+    [nodes, edges, setNodes, fitView]
+  );
+
+  const handleExportDrawio = useCallback(() => {
+    downloadFile(
+      exportDrawio({ nodes, edges }),
+      "system-design.drawio",
+      "application/vnd.jgraph.mxfile"
+    );
+  }, [nodes, edges]);
+
+  const handleExportImage = useCallback(
+    (options) =>
+      exportCanvas(containerRef.current, getNodes(), {
+        ...options,
+        fileName: "system-design",
+      }),
+    [getNodes]
+  );
+
+  // Report user edits upwards so App can keep the Mermaid code in sync
+  useEffect(() => {
+    if (!isDirty.current) return;
+    isDirty.current = false;
+    onGraphChange?.({ nodes, edges, direction });
+  }, [nodes, edges, direction, onGraphChange]);
+
+  // A node picked outside the canvas (on the source image) is selected and
+  // brought into view
+  useEffect(() => {
+    if (!selectedNodeId) {
+      shownSelectionRef.current = null;
+      return;
+    }
+    if (selectedNodeId === shownSelectionRef.current) return;
+    shownSelectionRef.current = selectedNodeId;
+    setNodes((current) =>
+      current.map((node) => ({ ...node, selected: node.id === selectedNodeId }))
+    );
+    fitView({ nodes: [{ id: selectedNodeId }], duration: 300, maxZoom: 1.2 });
+  }, [selectedNodeId, setNodes, fitView]);
+
+  const handleNodeClick = useCallback(
+    (_, node) => {
+      if (isGroupNode(node)) return;
+      shownSelectionRef.current = node.id;
+      onNodeClick(node);
+    },
+    [onNodeClick]
+  );
+
+  // Edges into collapsed groups are drawn to the group itself
+  const displayEdges = React.useMemo(
+    () => resolveCollapsedEdges(nodes, edges),
+    [nodes, edges]
+  );
+
   // Dynamic colors based on theme
   const bgColor = themeName === "dark" ? "#333" : "#ccc";
 
   return (
     <div
+      ref={containerRef}
       className="w-full h-full min-h-[600px] rounded-xl overflow-hidden"
       style={{
         backgroundColor: "var(--bg-secondary)",
@@ -35,18 +162,76 @@ const SystemDiagram = ({ initialNodes, initialEdges, onNodeClick }) => {
     >
       <ReactFlow
         nodes={nodes}
-        edges={edges}
+        edges={displayEdges}
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
         onConnect={onConnect}
         nodeTypes={nodeTypesMemo}
-        onNodeClick={(_, node) => onNodeClick(node)}
+        onNodeClick={handleNodeClick}
         fitView
         style={{ backgroundColor: "var(--bg-primary)" }}
         proOptions={{ hideAttribution: true }}
       >
         <Background color={bgColor} gap={20} />
         <Controls />
+        <Panel position="top-left">
+          <div
+            className="flex items-center gap-1 backdrop-blur-sm p-1.5 rounded-lg"
+            style={{
+              backgroundColor: "var(--bg-secondary)",
+              border: "1px solid var(--border-primary)",
+              boxShadow: "var(--shadow-xl)",
+            }}
+          >
+            {LAYOUT_OPTIONS.map((option) => (
+              <button
+                key={option.direction}
+                onClick={() => handleRelayout(option.direction)}
+                className="p-1.5 rounded transition-colors"
+                style={{
+                  color:
+                    direction === option.direction
+                      ? "var(--accent-blue)"
+                      : "var(--text-secondary)",
+                  backgroundColor:
+                    direction === option.direction
+                      ? "var(--accent-blue-glow)"
+                      : "transparent",
+                }}
+                title={option.label}
+              >
+                <option.icon className="w-4 h-4" />
+              </button>
+            ))}
+            <div
+              className="w-px h-4 mx-1"
+              style={{ backgroundColor: "var(--border-primary)" }}
+            />
+            <button
+              onClick={() => handleRelayout(direction)}
+              className="flex items-center gap-1.5 px-2 py-1 rounded text-xs font-medium transition-colors"
+              style={{ color: "var(--text-secondary)" }}
+              title="Re-layout"
+            >
+              <LayoutGrid className="w-4 h-4" />
+              Re-layout
+            </button>
+            <div
+              className="w-px h-4 mx-1"
+              style={{ backgroundColor: "var(--border-primary)" }}
+            />
+            <button
+              onClick={handleExportDrawio}
+              className="flex items-center gap-1.5 px-2 py-1 rounded text-xs font-medium transition-colors"
+              style={{ color: "var(--text-secondary)" }}
+              title="Export as draw.io"
+            >
+              <Download className="w-4 h-4" />
+              draw.io
+            </button>
+            <ExportMenu onExport={handleExportImage} align="left" />
+          </div>
+        </Panel>
       </ReactFlow>
     </div>
   );
@@ -0,0 +1,68 @@
+import { AlertTriangle, CheckCircle2, Info, X } from "lucide-react";
+
+const TOAST_STYLES = {
+  error: { Icon: AlertTriangle, color: "#ef4444" },
+  success: { Icon: CheckCircle2, color: "var(--accent-emerald)" },
+  info: { Icon: Info, color: "var(--accent-blue)" },
+};
+
+const ToastList = ({ toasts, onDismiss }) => (
+  <div
+    className="fixed bottom-4 right-4 z-[200] flex flex-col gap-3 w-[min(24rem,calc(100vw-2rem))]"
+    aria-live="polite"
+  >
+    {toasts.map((toast) => {
+      const { Icon, color } = TOAST_STYLES[toast.type] || TOAST_STYLES.info;
+      return (
+        <div
+          key={toast.id}
+          role={toast.type === "error" ? "alert" : "status"}
+          className="flex items-start gap-3 p-4 rounded-xl animate-in fade-in slide-in-from-bottom-2 duration-200"
+          style={{
+            backgroundColor: "var(--bg-elevated)",
+            border: "1px solid var(--border-primary)",
+            borderLeft: `3px solid ${color}`,
+            boxShadow: "var(--shadow-lg)",
+          }}
+        >
+          <Icon className="w-5 h-5 shrink-0 mt-0.5" style={{ color }} />
+          <div className="flex-1 min-w-0 text-sm">
+            <p className="font-medium" style={{ color: "var(--text-primary)" }}>
+              {toast.title}
+            </p>
+            {toast.message && (
+              <p
+                className="mt-1 break-words"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                {toast.message}
+              </p>
+            )}
+            {toast.action && (
+              <button
+                onClick={() => {
+                  onDismiss(toast.id);
+                  toast.action.onClick();
+                }}
+                className="mt-2 px-3 py-1 rounded-md text-xs font-semibold text-white"
+                style={{ backgroundColor: "var(--accent-blue)" }}
+              >
+                {toast.action.label}
+              </button>
+            )}
+          </div>
+          <button
+            onClick={() => onDismiss(toast.id)}
+            className="p-1 rounded-md transition-colors hover:bg-black/5"
+            style={{ color: "var(--text-muted)" }}
+            aria-label="Dismiss notification"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default ToastList;
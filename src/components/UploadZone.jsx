@@ -1,20 +1,155 @@
 import { FileUp, Loader2 } from "lucide-react";
-import { useCallback } from "react";
+import { useCallback, useEffect, useState } from "react";
+import { isDrawioFile } from "../services/drawioService";
+import {
+  DEFAULT_IMAGE_MAX_SIZE,
+  fetchImageFile,
+  findImageUrl,
+  preprocessImage,
+} from "../services/imageService";
+import { findMermaidFlowchart } from "../services/mermaidParser";
+import { isPdfFile, rasterizePdf } from "../services/pdfService";
+import ImagePreprocessor from "./ImagePreprocessor";
+import PageSelector from "./PageSelector";
+
+// acceptImages is false when the configured model cannot read images.
+// A single image opens in the preview (when `preview` is on) to be cropped and
+// adjusted. Several images or a PDF are expanded into pages, which the user
+// can order and deselect before they are handed to onUpload as one array.
+// Either way images are downscaled to `maxSize` and converted to PNG if needed.
+// Files, image links and Mermaid code can also be pasted anywhere on the page
+// or dropped as text; Mermaid code goes to onMermaid without image analysis.
+const UploadZone = ({
+  onUpload,
+  onMermaid,
+  onError,
+  isAnalyzing,
+  acceptImages = true,
+  preview = true,
+  maxSize = DEFAULT_IMAGE_MAX_SIZE,
+}) => {
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [pages, setPages] = useState(null);
+  // PDFs whose pages past MAX_PDF_PAGES were left out: { name, totalPages }
+  const [truncated, setTruncated] = useState([]);
+  const [editing, setEditing] = useState(null);
+
+  const handleFiles = useCallback(
+    async (fileList) => {
+      const files = Array.from(fileList || []);
+      if (!files.length) return;
+      console.log("UploadZone: Files received", files);
+
+      // draw.io files need no preparation; nor do images the model cannot read
+      if (files.length === 1 && (isDrawioFile(files[0]) || !acceptImages)) {
+        onUpload(files[0]);
+        return;
+      }
+      if (files.length === 1 && !isPdfFile(files[0]) && preview) {
+        setEditing(files[0]);
+        return;
+      }
+
+      setIsPreparing(true);
+      try {
+        const expanded = [];
+        const cut = [];
+        for (const file of files) {
+          // draw.io files hold a whole graph and cannot be merged with pages
+          if (isDrawioFile(file)) continue;
+          let filePages = [file];
+          if (isPdfFile(file)) {
+            const pdf = await rasterizePdf(file);
+            filePages = pdf.pages;
+            if (pdf.totalPages > pdf.pages.length) {
+              cut.push({ name: file.name, totalPages: pdf.totalPages });
+            }
+          }
+          for (const page of filePages) {
+            expanded.push(await preprocessImage(page, { maxSize }));
+          }
+        }
+        if (expanded.length > 1) {
+          setTruncated(cut);
+          setPages(expanded.map((file) => ({ file, url: URL.createObjectURL(file) })));
+        } else if (expanded.length === 1) {
+          onUpload(expanded);
+        }
+      } catch (error) {
+        console.error("Preparing pages failed:", error);
+        onError?.(error);
+      } finally {
+        setIsPreparing(false);
+      }
+    },
+    [onUpload, onError, acceptImages, preview, maxSize]
+  );
+
+  // Resolves to false when the text is neither Mermaid code nor an image link
+  const handleText = useCallback(
+    async (text) => {
+      const mermaidCode = findMermaidFlowchart(text);
+      if (mermaidCode) {
+        onMermaid?.(mermaidCode);
+        return true;
+      }
+      const url = findImageUrl(text);
+      if (!url) return false;
+
+      setIsPreparing(true);
+      try {
+        await handleFiles([await fetchImageFile(url)]);
+      } catch (error) {
+        console.error("Downloading the image failed:", error);
+        onError?.(error);
+      } finally {
+        setIsPreparing(false);
+      }
+      return true;
+    },
+    [handleFiles, onMermaid, onError]
+  );
 
-const UploadZone = ({ onUpload, isAnalyzing }) => {
   const handleDrop = useCallback(
-    (e) => {
+    async (e) => {
       e.preventDefault();
       e.stopPropagation();
-
-      if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-        console.log("UploadZone: File dropped", e.dataTransfer.files[0]);
-        onUpload(e.dataTransfer.files[0]);
+      if (e.dataTransfer.files?.length) {
+        handleFiles(e.dataTransfer.files);
+        return;
+      }
+      // Images dragged from another page arrive as a link, not a file
+      const text =
+        e.dataTransfer.getData("text/uri-list") ||
+        e.dataTransfer.getData("text/plain");
+      if (text && !(await handleText(text))) {
+        onError?.(new Error("Drop an image, PDF, draw.io file, image link or Mermaid code"));
       }
     },
-    [onUpload]
+    [handleFiles, handleText, onError]
   );
 
+  // Paste works anywhere on the upload screen, not only over the drop zone
+  const isIdle = !editing && !pages && !isAnalyzing && !isPreparing;
+  useEffect(() => {
+    if (!isIdle) return;
+    const handlePaste = (e) => {
+      // Leave pastes into text fields (e.g. Settings) alone
+      if (e.target.closest?.("input, textarea, [contenteditable='true']")) return;
+      const files = Array.from(e.clipboardData?.files || []);
+      if (files.length) {
+        e.preventDefault();
+        handleFiles(files);
+        return;
+      }
+      // Other text (a stray paste) is ignored
+      const text = e.clipboardData?.getData("text/plain");
+      if (text) handleText(text);
+    };
+    document.addEventListener("paste", handlePaste);
+    return () => document.removeEventListener("paste", handlePaste);
+  }, [isIdle, handleFiles, handleText]);
+
   const handleDragOver = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -22,12 +157,43 @@ const UploadZone = ({ onUpload, isAnalyzing }) => {
 
   const handleChange = (e) => {
     console.log("UploadZone: File input changed", e.target.files);
-    if (e.target.files && e.target.files[0]) {
-      onUpload(e.target.files[0]);
-      e.target.value = null;
-    }
+    handleFiles(e.target.files);
+    e.target.value = null;
   };
 
+  const closePageSelector = () => {
+    pages.forEach((page) => URL.revokeObjectURL(page.url));
+    setPages(null);
+  };
+
+  if (editing) {
+    return (
+      <ImagePreprocessor
+        file={editing}
+        maxSize={maxSize}
+        onConfirm={(prepared) => {
+          setEditing(null);
+          onUpload([prepared]);
+        }}
+        onCancel={() => setEditing(null)}
+      />
+    );
+  }
+
+  if (pages) {
+    return (
+      <PageSelector
+        pages={pages}
+        truncated={truncated}
+        onConfirm={(selected) => {
+          closePageSelector();
+          onUpload(selected);
+        }}
+        onCancel={closePageSelector}
+      />
+    );
+  }
+
   return (
     <div
       className="w-full max-w-2xl mx-auto mt-10 p-12 border-2 border-dashed rounded-xl transition-all cursor-pointer flex flex-col items-center justify-center gap-4 group hover:border-[var(--accent-blue)]"
@@ -43,12 +209,30 @@ const UploadZone = ({ onUpload, isAnalyzing }) => {
         type="file"
         id="file-upload"
         className="hidden"
-        accept="image/*"
+        accept={
+          acceptImages
+            ? "image/*,.heic,.heif,.pdf,application/pdf,.drawio,.xml"
+            : ".drawio,.xml"
+        }
+        multiple={acceptImages}
         onChange={handleChange}
-        disabled={isAnalyzing}
+        disabled={isAnalyzing || isPreparing}
       />
 
-      {isAnalyzing ? (
+      {isPreparing ? (
+        <>
+          <Loader2
+            className="w-16 h-16 animate-spin"
+            style={{ color: "var(--accent-blue)" }}
+          />
+          <p
+            className="text-xl font-medium"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Preparing pages...
+          </p>
+        </>
+      ) : isAnalyzing ? (
         <>
           <Loader2
             className="w-16 h-16 animate-spin"
@@ -83,7 +267,14 @@ const UploadZone = ({ onUpload, isAnalyzing }) => {
               Drop your system design here
             </p>
             <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
-              or click to browse (JPG, PNG)
+              {acceptImages
+                ? "or click to browse (JPG, PNG, WebP, HEIC, PDF, draw.io), several images at once"
+                : "or click to browse (draw.io)"}
+            </p>
+            <p className="text-xs mt-2" style={{ color: "var(--text-muted)" }}>
+              {acceptImages
+                ? "You can also paste a screenshot (Ctrl/⌘+V), an image link or Mermaid code"
+                : "You can also paste Mermaid code (Ctrl/⌘+V)"}
             </p>
           </div>
         </>
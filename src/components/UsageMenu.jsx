@@ -0,0 +1,135 @@
+import { Coins } from "lucide-react";
+import { useState } from "react";
+import { useUsage } from "../hooks/useUsage";
+import { formatCost, getMonthUsage } from "../services/usageService";
+
+const TASK_LABELS = {
+  vision: "Image analysis",
+  chat: "Chat",
+  generation: "Generation",
+};
+
+const formatTokens = (count) => count.toLocaleString();
+
+const TotalRow = ({ label, totals, children }) => (
+  <div className="space-y-1">
+    <div className="flex items-baseline justify-between text-xs">
+      <span style={{ color: "var(--text-secondary)" }}>{label}</span>
+      <span className="font-semibold" style={{ color: "var(--text-primary)" }}>
+        {formatCost(totals.cost)}
+      </span>
+    </div>
+    <div className="text-[10px]" style={{ color: "var(--text-muted)" }}>
+      {totals.requests} {totals.requests === 1 ? "request" : "requests"} ·{" "}
+      {formatTokens(totals.inputTokens)} in / {formatTokens(totals.outputTokens)} out
+    </div>
+    {children}
+  </div>
+);
+
+/**
+ * Header button showing what the current design has cost so far, with a
+ * popover of monthly and all-time totals and the latest requests.
+ */
+const UsageMenu = ({ monthlyBudget }) => {
+  const usage = useUsage();
+  const [isOpen, setIsOpen] = useState(false);
+  const month = getMonthUsage();
+  const budgetUsed = monthlyBudget > 0 ? Math.min(month.cost / monthlyBudget, 1) : null;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all"
+        style={{
+          backgroundColor: "var(--interactive-bg)",
+          color: budgetUsed === 1 ? "#ef4444" : "var(--text-primary)",
+          border: "1px solid var(--border-primary)",
+        }}
+        title="AI usage and cost of this design"
+      >
+        <Coins className="w-4 h-4" />
+        {formatCost(usage.design.cost)}
+      </button>
+
+      {isOpen && (
+        <div
+          className="absolute right-0 top-full mt-2 w-80 p-3 rounded-lg space-y-3 z-20"
+          style={{
+            backgroundColor: "var(--bg-secondary)",
+            border: "1px solid var(--border-primary)",
+            boxShadow: "var(--shadow-xl)",
+          }}
+        >
+          <TotalRow label="This design" totals={usage.design} />
+          <TotalRow label="This month" totals={month}>
+            {budgetUsed !== null && (
+              <>
+                <div
+                  className="h-1.5 rounded-full overflow-hidden"
+                  style={{ backgroundColor: "var(--interactive-bg)" }}
+                >
+                  <div
+                    className="h-full rounded-full"
+                    style={{
+                      width: `${budgetUsed * 100}%`,
+                      backgroundColor: budgetUsed >= 0.9 ? "#ef4444" : "var(--accent-blue)",
+                    }}
+                  />
+                </div>
+                <div className="text-[10px]" style={{ color: "var(--text-muted)" }}>
+                  {formatCost(month.cost)} of {formatCost(monthlyBudget)} monthly budget
+                </div>
+              </>
+            )}
+          </TotalRow>
+          <TotalRow label="All time" totals={usage.total} />
+
+          <div className="space-y-1.5">
+            <div
+              className="text-[10px] font-semibold uppercase tracking-wider"
+              style={{ color: "var(--text-muted)" }}
+            >
+              Recent requests
+            </div>
+            {usage.recent.length ? (
+              <ul className="max-h-48 overflow-y-auto space-y-1.5">
+                {usage.recent.map((record) => (
+                  <li
+                    key={`${record.at}-${record.model}-${record.task}`}
+                    className="flex items-start justify-between gap-2 text-xs"
+                  >
+                    <div className="min-w-0">
+                      <p className="truncate" style={{ color: "var(--text-primary)" }}>
+                        {TASK_LABELS[record.task] || record.task} · {record.model}
+                      </p>
+                      <p className="text-[10px]" style={{ color: "var(--text-muted)" }}>
+                        {new Date(record.at).toLocaleString()} ·{" "}
+                        {formatTokens(record.inputTokens)} in /{" "}
+                        {formatTokens(record.outputTokens)} out
+                      </p>
+                    </div>
+                    <span
+                      className="shrink-0"
+                      style={{ color: "var(--text-secondary)" }}
+                      title={record.cost === null ? "No price set for this model" : undefined}
+                    >
+                      {formatCost(record.cost)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-xs" style={{ color: "var(--text-muted)" }}>
+                No AI requests yet.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsageMenu;
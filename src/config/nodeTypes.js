@@ -2,6 +2,7 @@ import {
   CacheNode,
   ClientNode,
   DatabaseNode,
+  GroupNode,
   LoadBalancerNode,
   ServerNode,
 } from "../components/CustomNodes";
@@ -12,4 +13,5 @@ export const nodeTypes = {
   clientNode: ClientNode,
   loadBalancerNode: LoadBalancerNode,
   cacheNode: CacheNode,
+  groupNode: GroupNode,
 };
@@ -1,7 +1,26 @@
-import { createContext, useContext, useEffect, useState } from "react";
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { DEFAULT_CACHE_LIMIT_MB } from "../services/cacheService";
+import { DEFAULT_IMAGE_MAX_SIZE } from "../services/imageService";
+import { DEFAULT_MAX_RETRIES, DEFAULT_REQUEST_TIMEOUT } from "../services/llmService";
+import { getProvider, PROVIDERS } from "../services/providers";
+import { priceKey } from "../services/usageService";
 
 const SettingsContext = createContext();
 
+// Overrides used to be keyed by model id alone; each moves to the provider
+// whose catalog lists the model, or else to the self-hosted endpoint
+const keyPricesByProvider = (prices) =>
+    Object.fromEntries(
+        Object.entries(prices).map(([key, price]) => {
+            // Model ids may contain colons themselves, e.g. Ollama's "llama3:8b"
+            if (Object.keys(PROVIDERS).some((id) => key.startsWith(`${id}:`))) return [key, price];
+            const provider = Object.values(PROVIDERS).find((candidate) =>
+                candidate.models.some((model) => model.id === key)
+            );
+            return [priceKey(provider?.id || "custom", key), price];
+        })
+    );
+
 export const useSettings = () => {
     const context = useContext(SettingsContext);
     if (!context) {
@@ -20,8 +39,101 @@ export const SettingsProvider = ({ children }) => {
         return localStorage.getItem("app_api_key") || "";
     });
 
-    const [model, setModel] = useState(() => {
-        return localStorage.getItem("app_model") || "";
+    // Model id per task for each provider: { [provider]: { vision, chat, generation } }
+    const [models, setModels] = useState(() => {
+        try {
+            return JSON.parse(localStorage.getItem("app_models")) || {};
+        } catch {
+            return {};
+        }
+    });
+
+    // Seconds to wait for a response, and retries on rate limits or server errors
+    const [requestTimeout, setRequestTimeout] = useState(() => {
+        return Number(localStorage.getItem("app_request_timeout")) || DEFAULT_REQUEST_TIMEOUT;
+    });
+
+    const [maxRetries, setMaxRetries] = useState(() => {
+        const stored = localStorage.getItem("app_max_retries");
+        return stored === null ? DEFAULT_MAX_RETRIES : Number(stored);
+    });
+
+    // Local cache of AI responses (see cacheService)
+    const [cacheEnabled, setCacheEnabled] = useState(() => {
+        return localStorage.getItem("app_cache_enabled") !== "false";
+    });
+
+    const [cacheLimitMb, setCacheLimitMb] = useState(() => {
+        return Number(localStorage.getItem("app_cache_limit_mb")) || DEFAULT_CACHE_LIMIT_MB;
+    });
+
+    // Upload preparation (see imageService): whether single images open in the
+    // preview, and the longest side images are downscaled to (0 keeps the size)
+    const [imagePreview, setImagePreview] = useState(() => {
+        return localStorage.getItem("app_image_preview") !== "false";
+    });
+
+    const [imageMaxSize, setImageMaxSize] = useState(() => {
+        const stored = localStorage.getItem("app_image_max_size");
+        return stored === null ? DEFAULT_IMAGE_MAX_SIZE : Number(stored);
+    });
+
+    // Price overrides in USD per million tokens: { ["provider:model"]: { input, output } }
+    const [prices, setPrices] = useState(() => {
+        try {
+            return keyPricesByProvider(JSON.parse(localStorage.getItem("app_prices")) || {});
+        } catch {
+            return {};
+        }
+    });
+
+    // Monthly spend cap in USD; 0 means no cap
+    const [monthlyBudget, setMonthlyBudget] = useState(() => {
+        return Number(localStorage.getItem("app_monthly_budget")) || 0;
+    });
+
+    // Edited prompt templates and their variables (see promptService)
+    const [promptTemplates, setPromptTemplates] = useState(() => {
+        try {
+            return JSON.parse(localStorage.getItem("app_prompt_templates")) || {};
+        } catch {
+            return {};
+        }
+    });
+
+    const [promptVariables, setPromptVariables] = useState(() => {
+        try {
+            return JSON.parse(localStorage.getItem("app_prompt_variables")) || {};
+        } catch {
+            return {};
+        }
+    });
+
+    // Record-and-replay (see fixtureService): whether live requests are recorded,
+    // and the fixture file the "replay" provider serves
+    const [recordFixtures, setRecordFixtures] = useState(() => {
+        return localStorage.getItem("app_record_fixtures") === "true";
+    });
+
+    const [replayFixture, setReplayFixture] = useState(() => {
+        try {
+            return JSON.parse(localStorage.getItem("app_replay_fixture"));
+        } catch {
+            return null;
+        }
+    });
+
+    // OpenAI-compatible self-hosted endpoint (provider "custom")
+    const [customBaseUrl, setCustomBaseUrl] = useState(() => {
+        return localStorage.getItem("app_custom_base_url") || "";
+    });
+
+    const [customModel, setCustomModel] = useState(() => {
+        return localStorage.getItem("app_custom_model") || "";
+    });
+
+    const [customVision, setCustomVision] = useState(() => {
+        return localStorage.getItem("app_custom_vision") === "true";
     });
 
     // Update localStorage when state changes
@@ -34,16 +146,155 @@ export const SettingsProvider = ({ children }) => {
     }, [apiKey]);
 
     useEffect(() => {
-        localStorage.setItem("app_model", model);
-    }, [model]);
+        localStorage.setItem("app_models", JSON.stringify(models));
+    }, [models]);
+
+    useEffect(() => {
+        localStorage.setItem("app_request_timeout", String(requestTimeout));
+    }, [requestTimeout]);
+
+    useEffect(() => {
+        localStorage.setItem("app_max_retries", String(maxRetries));
+    }, [maxRetries]);
+
+    useEffect(() => {
+        localStorage.setItem("app_cache_enabled", String(cacheEnabled));
+    }, [cacheEnabled]);
+
+    useEffect(() => {
+        localStorage.setItem("app_cache_limit_mb", String(cacheLimitMb));
+    }, [cacheLimitMb]);
+
+    useEffect(() => {
+        localStorage.setItem("app_image_preview", String(imagePreview));
+    }, [imagePreview]);
+
+    useEffect(() => {
+        localStorage.setItem("app_image_max_size", String(imageMaxSize));
+    }, [imageMaxSize]);
+
+    useEffect(() => {
+        localStorage.setItem("app_prices", JSON.stringify(prices));
+    }, [prices]);
+
+    useEffect(() => {
+        localStorage.setItem("app_monthly_budget", String(monthlyBudget));
+    }, [monthlyBudget]);
+
+    useEffect(() => {
+        localStorage.setItem("app_prompt_templates", JSON.stringify(promptTemplates));
+    }, [promptTemplates]);
+
+    useEffect(() => {
+        localStorage.setItem("app_prompt_variables", JSON.stringify(promptVariables));
+    }, [promptVariables]);
+
+    useEffect(() => {
+        localStorage.setItem("app_record_fixtures", String(recordFixtures));
+    }, [recordFixtures]);
+
+    useEffect(() => {
+        // Large fixture files may not fit; they then last until the page reloads
+        try {
+            localStorage.setItem("app_replay_fixture", JSON.stringify(replayFixture));
+        } catch (error) {
+            console.warn("Could not store the replay fixture:", error);
+        }
+    }, [replayFixture]);
+
+    useEffect(() => {
+        localStorage.setItem("app_custom_base_url", customBaseUrl);
+    }, [customBaseUrl]);
+
+    useEffect(() => {
+        localStorage.setItem("app_custom_model", customModel);
+    }, [customModel]);
+
+    useEffect(() => {
+        localStorage.setItem("app_custom_vision", String(customVision));
+    }, [customVision]);
+
+    // Everything the AI services need, passed to them as one object
+    const aiSettings = useMemo(
+        () => ({
+            provider,
+            apiKey,
+            models: models[provider] || {},
+            requestTimeout,
+            maxRetries,
+            cacheEnabled,
+            cacheLimitMb,
+            prices,
+            monthlyBudget,
+            promptTemplates,
+            promptVariables,
+            recordFixtures,
+            replayFixture,
+            customBaseUrl,
+            customModel,
+            customVision,
+        }),
+        [
+            provider,
+            apiKey,
+            models,
+            requestTimeout,
+            maxRetries,
+            cacheEnabled,
+            cacheLimitMb,
+            prices,
+            monthlyBudget,
+            promptTemplates,
+            promptVariables,
+            recordFixtures,
+            replayFixture,
+            customBaseUrl,
+            customModel,
+            customVision,
+        ]
+    );
+
+    const isConfigured = Boolean(getProvider(provider).connect(aiSettings));
 
     const value = {
         provider,
         setProvider,
         apiKey,
         setApiKey,
-        model,
-        setModel
+        models,
+        setModels,
+        requestTimeout,
+        setRequestTimeout,
+        maxRetries,
+        setMaxRetries,
+        cacheEnabled,
+        setCacheEnabled,
+        cacheLimitMb,
+        setCacheLimitMb,
+        imagePreview,
+        setImagePreview,
+        imageMaxSize,
+        setImageMaxSize,
+        prices,
+        setPrices,
+        monthlyBudget,
+        setMonthlyBudget,
+        promptTemplates,
+        setPromptTemplates,
+        promptVariables,
+        setPromptVariables,
+        recordFixtures,
+        setRecordFixtures,
+        replayFixture,
+        setReplayFixture,
+        customBaseUrl,
+        setCustomBaseUrl,
+        customModel,
+        setCustomModel,
+        customVision,
+        setCustomVision,
+        aiSettings,
+        isConfigured
     };
 
     return (
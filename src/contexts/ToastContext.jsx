@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import ToastList from "../components/ToastList";
+import { ToastContext } from "./ToastContextDef";
+
+// Errors usually carry an action, so they stay until dismissed
+const AUTO_DISMISS_MS = {
+  success: 4000,
+  info: 6000,
+};
+
+export const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(1);
+  const timers = useRef(new Map());
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+  }, []);
+
+  /**
+   * Shows a notification.
+   * @param {Object} toast
+   * @param {'error'|'success'|'info'} [toast.type]
+   * @param {string} toast.title
+   * @param {string} [toast.message]
+   * @param {{label: string, onClick: Function}} [toast.action] - next step button; dismisses the toast
+   * @returns {number} toast id
+   */
+  const showToast = useCallback(
+    ({ type = "info", title, message, action }) => {
+      const id = nextId.current++;
+      setToasts((current) => [...current, { id, type, title, message, action }]);
+      if (AUTO_DISMISS_MS[type]) {
+        timers.current.set(id, setTimeout(() => dismissToast(id), AUTO_DISMISS_MS[type]));
+      }
+      return id;
+    },
+    [dismissToast]
+  );
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach(clearTimeout);
+  }, []);
+
+  const value = useMemo(
+    () => ({ showToast, dismissToast }),
+    [showToast, dismissToast]
+  );
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <ToastList toasts={toasts} onDismiss={dismissToast} />
+    </ToastContext.Provider>
+  );
+};
@@ -0,0 +1,5 @@
+import { useSyncExternalStore } from "react";
+import { getUsage, subscribeUsage } from "../services/usageService";
+
+// Usage totals from usageService, re-rendering whenever a request is recorded
+export const useUsage = () => useSyncExternalStore(subscribeUsage, getUsage);
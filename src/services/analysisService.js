@@ -1,315 +1,257 @@
-import { MarkerType } from 'reactflow';
+import mermaid from 'mermaid';
+import { getCached, hashContent, setCached } from './cacheService';
+import { mergeMermaidDiagrams } from './diagramMergeService';
+import { isGroupNode } from './groupService';
+import { createLLMClient, isAbortError, sleep } from './llmService';
+import { parseMermaid } from './mermaidParser';
+import { renderPrompt } from './promptService';
+
+// How many times the model may try to fix Mermaid code that fails to parse
+const MAX_MERMAID_REPAIRS = 2;
 
 /**
- * Analyzes an image using OpenAI's GPT-4o or Gemini to generate a Mermaid diagram.
+ * @typedef {Object} AnalysisOptions
+ * @property {AbortSignal} [signal] - cancels the request
+ * @property {boolean} [bypassCache] - ignore any cached result (a fresh one is still stored)
+ * @property {() => void} [onCacheHit] - called when the result comes from the cache
+ */
+
+/**
+ * Analyzes an image with the selected AI provider to generate a Mermaid diagram.
+ * Code that fails Mermaid's parser is sent back to the model with the syntax
+ * error, up to MAX_MERMAID_REPAIRS times. Results are cached by image content,
+ * provider, model and prompt text.
  * @param {File} imageFile 
- * @param {string} apiKey
- * @param {string} provider
+ * @param {Object} aiSettings - provider settings from SettingsContext
+ * @param {AnalysisOptions} [options]
  * @returns {Promise<string>} Mermaid diagram string
  */
-export const generateMermaidFromImage = async (imageFile, apiKey, provider = 'openai') => {
-    if (apiKey) {
-        console.log(`analysisService: Using ${provider} API for Mermaid generation`);
-        if (provider === 'gemini') {
-            return generateMermaidWithGemini(imageFile, apiKey);
-        } else {
-            return generateMermaidWithOpenAI(imageFile, apiKey);
-        }
-    } else {
-        // Fallback for dev environment or mock
-        const envKey = import.meta.env.VITE_OPENAI_API_KEY;
-        if (envKey) {
-            return generateMermaidWithOpenAI(imageFile, envKey);
-        }
-
+export const generateMermaidFromImage = async (imageFile, aiSettings, { signal, bypassCache, onCacheHit } = {}) => {
+    const llm = createLLMClient(aiSettings);
+    if (!llm) {
         console.log("analysisService: No API key found, using mock data");
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve(getMockMermaid());
-            }, 1500);
-        });
+        await sleep(1500, signal);
+        return getMockMermaid();
     }
-};
 
-/**
- * Converts a Mermaid diagram string to React Flow nodes and edges.
- * @param {string} mermaidCode 
- * @param {string} apiKey
- * @param {string} provider
- * @returns {Promise<{nodes: Array, edges: Array}>}
- */
-export const convertMermaidToFlow = async (mermaidCode, apiKey, provider = 'openai') => {
-    if (apiKey) {
-        console.log(`analysisService: Using ${provider} API for Flow conversion`);
-        if (provider === 'gemini') {
-            return convertToFlowWithGemini(mermaidCode, apiKey);
-        } else {
-            return convertToFlowWithOpenAI(mermaidCode, apiKey);
-        }
-    } else {
-        const envKey = import.meta.env.VITE_OPENAI_API_KEY;
-        if (envKey) {
-            return convertToFlowWithOpenAI(mermaidCode, envKey);
+    const model = llm.modelFor('vision');
+    const system = renderPrompt('imageToMermaid', aiSettings);
+    // Keyed by the rendered prompt, so edited templates or conventions miss the cache
+    const cache = aiSettings?.cacheEnabled === false ? null : {
+        key: `image-mermaid:${await hashContent(imageFile)}:${llm.provider.id}:${model}:${await hashContent(system)}`,
+        kind: 'image-mermaid',
+        label: `${imageFile.name || 'Image'} · ${model}`,
+        limitMb: aiSettings.cacheLimitMb,
+    };
+    if (cache && !bypassCache) {
+        const cached = await getCached(cache.key);
+        if (cached !== undefined) {
+            console.log("analysisService: Mermaid loaded from cache");
+            onCacheHit?.();
+            return cached;
         }
-
-        console.log("analysisService: No API key found, using mock data");
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve(getMockGraph());
-            }, 1500);
-        });
     }
-};
 
-const generateMermaidWithOpenAI = async (file, apiKey) => {
     try {
-        const base64Image = await toBase64(file);
-
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are a system architecture expert. Analyze the provided system design diagram image and convert it into a Mermaid JS diagram.
-            
-            Return ONLY the Mermaid code string. Do not include markdown code blocks (like \`\`\`mermaid).
-            
-            Rules:
-            1. Use 'graph TD' or 'graph LR' based on the layout.
-            2. Use appropriate shapes for components (cylinder for databases, rect for servers, etc).
-            3. Ensure directionality of arrows matches the image.`
-                    },
-                    {
-                        role: "user",
-                        content: [
-                            { type: "text", text: "Convert this system design to Mermaid." },
-                            { type: "image_url", image_url: { url: base64Image } }
-                        ]
-                    }
-                ],
-                max_tokens: 4000
-            })
+        const reply = await llm.vision({
+            system,
+            prompt: "Convert this system design to Mermaid.",
+            image: imageFile,
+            maxTokens: 4000,
+            signal,
         });
-
-        const data = await response.json();
-
-        if (data.error) {
-            throw new Error(data.error.message);
+        const code = await repairMermaid(llm, extractMermaid(reply), signal);
+        // Code that still fails to parse is worth another paid attempt next time
+        if (cache && !(await getMermaidSyntaxError(code))) {
+            await setCached(cache.key, code, cache);
         }
-
-        let content = data.choices[0].message.content;
-        // Clean up markdown code blocks if present
-        content = content.replace(/^```mermaid\n/, '').replace(/^```\n/, '').replace(/```$/, '');
-        return content.trim();
-
+        return code;
     } catch (error) {
-        console.error("OpenAI API Error:", error);
-        alert("Failed to analyze image with AI. Check console for details.");
+        if (!isAbortError(error)) console.error(`${llm.provider.label} API Error:`, error);
         throw error;
     }
 };
 
-const generateMermaidWithGemini = async (file, apiKey) => {
-    try {
-        const base64Data = await fileToGenerativePart(file);
+/**
+ * Analyzes several images (e.g. the pages of a PDF) and merges them into one
+ * Mermaid diagram, with components that appear on several pages drawn once.
+ * Pages are analyzed one at a time, so each is cached on its own.
+ * @param {File[]} imageFiles - pages in the order they should be read
+ * @param {Object} aiSettings - provider settings from SettingsContext
+ * @param {AnalysisOptions & {onProgress?: (progress: {page: number, total: number}) => void}} [options]
+ * @returns {Promise<string>} Mermaid diagram string
+ */
+export const generateMermaidFromImages = async (imageFiles, aiSettings, { onProgress, onCacheHit, ...options } = {}) => {
+    if (imageFiles.length === 1) {
+        return generateMermaidFromImage(imageFiles[0], aiSettings, { ...options, onCacheHit });
+    }
 
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=${apiKey}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [
-                        {
-                            text: `You are a system architecture expert. Analyze the provided system design diagram image and convert it into a Mermaid JS diagram.
-            
-            Return ONLY the Mermaid code string. Do not include markdown code blocks (like \`\`\`mermaid).
-            
-            Rules:
-            1. Use 'graph TD' or 'graph LR' based on the layout.
-            2. Use appropriate shapes for components (cylinder for databases, rect for servers, etc).
-            3. Ensure directionality of arrows matches the image.` },
-                        base64Data
-                    ]
-                }]
-            })
-        });
+    const codes = [];
+    let cacheHits = 0;
+    for (const [index, imageFile] of imageFiles.entries()) {
+        onProgress?.({ page: index + 1, total: imageFiles.length });
+        codes.push(await generateMermaidFromImage(imageFile, aiSettings, {
+            ...options,
+            onCacheHit: () => cacheHits++,
+        }));
+    }
+    // The merged diagram only counts as cached when no page needed the model
+    if (cacheHits === imageFiles.length) onCacheHit?.();
+    return mergeMermaidDiagrams(codes);
+};
 
-        const data = await response.json();
+/**
+ * Converts a Mermaid diagram string to React Flow nodes and edges.
+ * The graph itself is parsed locally; the AI provider (when a key is available)
+ * is only asked to fill in each node's description and tech stack. Enriched
+ * graphs are cached by the normalized Mermaid text and prompt text.
+ * @param {string} mermaidCode 
+ * @param {Object} aiSettings - provider settings from SettingsContext
+ * @param {AnalysisOptions} [options]
+ * @returns {Promise<{nodes: Array, edges: Array}>}
+ */
+export const convertMermaidToFlow = async (mermaidCode, aiSettings, { signal, bypassCache, onCacheHit } = {}) => {
+    const graph = parseMermaid(mermaidCode);
 
-        if (data.error) {
-            throw new Error(data.error.message);
-        }
+    const llm = createLLMClient(aiSettings);
+    if (!llm) {
+        console.log("analysisService: No API key found, skipping AI enrichment");
+        return graph;
+    }
 
-        let content = data.candidates[0].content.parts[0].text;
-        content = content.replace(/^```mermaid\n/, '').replace(/^```\n/, '').replace(/```$/, '');
-        return content.trim();
+    const system = renderPrompt('enrichment', aiSettings);
+    const cache = aiSettings?.cacheEnabled === false ? null : {
+        key: `mermaid-flow:${await hashContent(normalizeMermaid(mermaidCode))}:${await hashContent(system)}`,
+        kind: 'mermaid-flow',
+        label: `${graph.nodes.length} components · ${mermaidCode.trim().split('\n')[0]}`,
+        limitMb: aiSettings.cacheLimitMb,
+    };
+    if (cache && !bypassCache) {
+        const cached = await getCached(cache.key);
+        if (cached !== undefined) {
+            console.log("analysisService: Flow loaded from cache");
+            onCacheHit?.();
+            return cached;
+        }
+    }
 
+    try {
+        const enrichment = await llm.json({
+            system,
+            prompt: `Describe these components:\n\n${describeGraph(graph)}`,
+            maxTokens: 4000,
+            signal,
+        });
+        const enriched = mergeEnrichment(graph, enrichment);
+        // Only enriched graphs are cached; a failed enrichment should be retried
+        if (cache) await setCached(cache.key, enriched, cache);
+        return enriched;
     } catch (error) {
-        console.error("Gemini API Error:", error);
-        alert("Failed to analyze image with Gemini. Check console for details.");
-        throw error;
+        // A cancelled conversion must not hand back a result
+        if (isAbortError(error)) throw error;
+        // The parsed graph is already complete, so enrichment failures are not fatal
+        console.error("Flow enrichment failed, using parsed graph:", error);
+        return graph;
     }
 };
 
-const convertToFlowWithOpenAI = async (mermaidCode, apiKey) => {
+/**
+ * Returns Mermaid's syntax error for a diagram, or null when it parses.
+ * @param {string} code
+ * @returns {Promise<string|null>}
+ */
+export const getMermaidSyntaxError = async (code) => {
     try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: "gpt-4o",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are a system architecture expert. Convert the provided Mermaid diagram code into a structured graph format for React Flow.
-            
-            Return ONLY a valid JSON object (no markdown formatting) with this structure:
-            {
-              "nodes": [
-                { 
-                  "id": "string", 
-                  "type": "one of: clientNode, serverNode, databaseNode, loadBalancerNode, cacheNode", 
-                  "position": { "x": number, "y": number }, 
-                  "data": { 
-                    "label": "string", 
-                    "description": "brief description of role inferred from context", 
-                    "tech": "inferred technologies" 
-                  } 
-                }
-              ],
-              "edges": [
-                { "id": "string", "source": "nodeId", "target": "nodeId", "animated": true, "label": "optional connection label" }
-              ]
-            }
-            
-            Rules:
-            1. Map Mermaid shapes/names to the most appropriate node type.
-            2. Space out the position coordinates (x, y) so the graph is readable.
-            3. Ensure all source and target IDs in edges exist in the nodes array.`
-                    },
-                    {
-                        role: "user",
-                        content: `Convert this Mermaid code to React Flow JSON:\n\n${mermaidCode}`
-                    }
-                ],
-                max_tokens: 4000,
-                response_format: { type: "json_object" }
-            })
-        });
-
-        const data = await response.json();
+        await mermaid.parse(code);
+        return null;
+    } catch (error) {
+        return error?.message || String(error);
+    }
+};
 
-        if (data.error) {
-            throw new Error(data.error.message);
+// Feeds parse errors back to the model until the code parses or attempts run out
+const repairMermaid = async (llm, code, signal) => {
+    let current = code;
+    for (let attempt = 1; attempt <= MAX_MERMAID_REPAIRS; attempt++) {
+        const error = await getMermaidSyntaxError(current);
+        if (!error) return current;
+
+        console.warn(`analysisService: Mermaid syntax error, repair attempt ${attempt}/${MAX_MERMAID_REPAIRS}:`, error);
+        try {
+            const reply = await llm.chat({
+                task: 'generation',
+                system: "You are a Mermaid JS expert who fixes syntax errors in diagrams.",
+                messages: [{ role: 'user', content: repairPrompt(current, error) }],
+                maxTokens: 4000,
+                signal,
+            });
+            current = extractMermaid(reply);
+        } catch (repairError) {
+            if (isAbortError(repairError)) throw repairError;
+            // Keep the last code; MermaidDisplay will show what is wrong with it
+            console.error("Mermaid repair request failed:", repairError);
+            return current;
         }
-
-        const result = JSON.parse(data.choices[0].message.content);
-        return result;
-
-    } catch (error) {
-        console.error("OpenAI API Error:", error);
-        alert("Failed to convert Mermaid to Flow. Check console for details.");
-        throw error;
     }
+
+    const error = await getMermaidSyntaxError(current);
+    if (error) console.warn("analysisService: Mermaid still invalid after repairs:", error);
+    return current;
 };
 
-const convertToFlowWithGemini = async (mermaidCode, apiKey) => {
-    try {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=${apiKey}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [
-                        {
-                            text: `You are a system architecture expert. Convert the provided Mermaid diagram code into a structured graph format for React Flow.
-            
-            Return ONLY a valid JSON object (no markdown formatting) with this structure:
-            {
-              "nodes": [
-                { 
-                  "id": "string", 
-                  "type": "one of: clientNode, serverNode, databaseNode, loadBalancerNode, cacheNode", 
-                  "position": { "x": number, "y": number }, 
-                  "data": { 
-                    "label": "string", 
-                    "description": "brief description of role inferred from context", 
-                    "tech": "inferred technologies" 
-                  } 
-                }
-              ],
-              "edges": [
-                { "id": "string", "source": "nodeId", "target": "nodeId", "animated": true, "label": "optional connection label" }
-              ]
-            }
-            
-            Rules:
-            1. Map Mermaid shapes/names to the most appropriate node type.
-            2. Space out the position coordinates (x, y) so the graph is readable.
-            3. Ensure all source and target IDs in edges exist in the nodes array.
+const repairPrompt = (code, error) => `The following Mermaid flowchart code fails to parse.
 
-            Mermaid Code:
-            ${mermaidCode}`
-                        }
-                    ]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 4000,
-                    responseMimeType: "application/json"
-                }
-            })
-        });
+Parser error:
+${error}
 
-        const data = await response.json();
+Code:
+${code}
 
-        if (data.error) {
-            throw new Error(data.error.message);
-        }
+Fix the syntax so it parses, keeping the same components, labels and connections, and any "%% bbox" comment lines.
+Return ONLY the corrected Mermaid code string. Do not include markdown code blocks (like \`\`\`mermaid).
+Quote labels that contain special characters, e.g. A["Label (with) parens"].`;
 
-        const text = data.candidates[0].content.parts[0].text;
-        const jsonStr = text.replace(/^```json\n/, '').replace(/^```\n/, '').replace(/```$/, '');
-        return JSON.parse(jsonStr);
+// Cache key form of Mermaid code: ignores indentation, blank lines and comments,
+// except the `%% bbox` comments that end up on the nodes
+const normalizeMermaid = (code) => code
+    .split(/\r?\n/)
+    .map((line) => line.trim().replace(/\s+/g, ' '))
+    .filter((line) => line && (!line.startsWith('%%') || /^%% ?bbox /i.test(line)))
+    .join('\n');
 
-    } catch (error) {
-        console.error("Gemini API Error:", error);
-        alert("Failed to convert Mermaid to Flow. Check console for details.");
-        throw error;
-    }
+// Pulls the diagram out of a model reply, with or without a code fence around it
+const extractMermaid = (text) => {
+    const fenced = text.match(/```(?:mermaid)?[^\S\n]*\n([\s\S]*?)```/);
+    if (fenced) return fenced[1].trim();
+    // A reply cut off mid-block has an opening fence but no closing one
+    return text.replace(/^\s*```(?:mermaid)?[^\S\n]*\n/, '').trim();
 };
 
-const toBase64 = (file) => new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = error => reject(error);
-});
+// Compact listing of the parsed graph for the enrichment prompt
+const describeGraph = (graph) => {
+    const nodeLines = graph.nodes.filter((node) => !isGroupNode(node)).map((node) => `- ${node.id}: "${node.data.label}" (${node.type})`);
+    const edgeLines = graph.edges.map((edge) => `- ${edge.source} -> ${edge.target}${edge.label ? ` (${edge.label})` : ''}`);
+    return `Components:\n${nodeLines.join('\n')}\n\nConnections:\n${edgeLines.join('\n')}`;
+};
 
-// Helper for Gemini file handling (converts to base64 minus the data URL prefix)
-const fileToGenerativePart = async (file) => {
-    const base64EncodedDataPromise = new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result.split(',')[1]);
-        reader.readAsDataURL(file);
-    });
+// Copies description/tech from the AI result onto matching nodes, leaving structure untouched
+const mergeEnrichment = (graph, enrichment) => {
+    const byId = new Map((enrichment?.nodes || []).map((node) => [node.id, node]));
 
     return {
-        inline_data: {
-            data: await base64EncodedDataPromise,
-            mime_type: file.type,
-        },
+        ...graph,
+        nodes: graph.nodes.map((node) => {
+            const extra = byId.get(node.id);
+            if (!extra) return node;
+            return {
+                ...node,
+                data: {
+                    ...node.data,
+                    description: typeof extra.description === 'string' ? extra.description : node.data.description,
+                    tech: typeof extra.tech === 'string' ? extra.tech : node.data.tech,
+                },
+            };
+        }),
     };
 };
 
@@ -322,80 +264,3 @@ const getMockMermaid = () => {
     Web2 --> DB
     Web1 -.-> Cache[(Redis Cache)]`;
 };
-
-const getMockGraph = () => {
-    // This is a hardcoded "standard" 3-tier architecture for demo purposes
-    const nodes = [
-        {
-            id: 'client',
-            type: 'clientNode',
-            position: { x: 250, y: 0 },
-            data: {
-                label: 'Client / Browser',
-                description: 'The user interface running in the browser. Sends requests to the Load Balancer.',
-                tech: 'React, Mobile App'
-            },
-        },
-        {
-            id: 'lb',
-            type: 'loadBalancerNode',
-            position: { x: 250, y: 150 },
-            data: {
-                label: 'Load Balancer',
-                description: 'Distributes incoming network traffic across multiple servers to ensure reliability and performance.',
-                tech: 'NGINX, AWS ALB'
-            },
-        },
-        {
-            id: 'web-server-1',
-            type: 'serverNode',
-            position: { x: 100, y: 300 },
-            data: {
-                label: 'Web Server 1',
-                description: 'Handles application logic and processes user requests.',
-                tech: 'Node.js, Express'
-            },
-        },
-        {
-            id: 'web-server-2',
-            type: 'serverNode',
-            position: { x: 400, y: 300 },
-            data: {
-                label: 'Web Server 2',
-                description: 'Secondary server for horizontal scaling and high availability.',
-                tech: 'Node.js, Express'
-            },
-        },
-        {
-            id: 'db-primary',
-            type: 'databaseNode',
-            position: { x: 250, y: 450 },
-            data: {
-                label: 'Primary Database',
-                description: 'Stores persistent data. Handles write operations.',
-                tech: 'PostgreSQL, MongoDB'
-            },
-        },
-        {
-            id: 'cache',
-            type: 'cacheNode',
-            position: { x: 50, y: 450 },
-            data: {
-                label: 'Redis Cache',
-                description: 'Stores frequently accessed data to reduce database load.',
-                tech: 'Redis'
-            },
-        },
-    ];
-
-    const edges = [
-        { id: 'e1', source: 'client', target: 'lb', animated: true, label: 'HTTPS' },
-        { id: 'e2', source: 'lb', target: 'web-server-1', animated: true },
-        { id: 'e3', source: 'lb', target: 'web-server-2', animated: true },
-        { id: 'e4', source: 'web-server-1', target: 'db-primary', animated: true },
-        { id: 'e5', source: 'web-server-2', target: 'db-primary', animated: true },
-        { id: 'e6', source: 'web-server-1', target: 'cache', type: 'smoothstep', style: { strokeDasharray: '5,5' } },
-    ];
-
-    return { nodes, edges };
-};
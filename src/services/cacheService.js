@@ -0,0 +1,177 @@
+/**
+ * Cache Service
+ * IndexedDB store for AI responses, so re-uploading a screenshot or converting
+ * the same Mermaid again does not pay for another API call. Entries are
+ * evicted least-recently-used first once the store outgrows its size limit.
+ * Failures (private browsing, quota) only disable caching, never the request.
+ */
+
+const DB_NAME = 'sdv-cache';
+const DB_VERSION = 1;
+// Entry metadata and values live apart, so listing, trimming and marking
+// entries as used never has to read the (large) cached responses
+const ENTRIES = 'entries';
+const VALUES = 'values';
+
+export const DEFAULT_CACHE_LIMIT_MB = 50;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key
+ * @property {string} kind - what produced it, e.g. 'image-mermaid' or 'mermaid-flow'
+ * @property {string} label - short human-readable description
+ * @property {number} size - bytes of the serialized value
+ * @property {number} createdAt
+ * @property {number} lastUsed
+ */
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => createStores(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again after a failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const createStores = (db) => {
+  const entries = db.createObjectStore(ENTRIES, { keyPath: 'key' });
+  entries.createIndex('lastUsed', 'lastUsed');
+  db.createObjectStore(VALUES);
+};
+
+// Runs `operation` against both stores in one transaction, resolving with the
+// result of the request it returns, or of each request in a returned array
+const withStores = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ENTRIES, VALUES], mode);
+    const request = operation({ entries: transaction.objectStore(ENTRIES), values: transaction.objectStore(VALUES) });
+    transaction.oncomplete = () => resolve(Array.isArray(request) ? request.map((item) => item.result) : request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * SHA-256 of a file or string, as hex.
+ * @param {Blob|string} content
+ * @returns {Promise<string>}
+ */
+export const hashContent = async (content) => {
+  const bytes = typeof content === 'string'
+    ? new TextEncoder().encode(content)
+    : await content.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Looks up a cached value and marks it as recently used.
+ * @param {string} key
+ * @returns {Promise<*>} the value, or undefined on a miss
+ */
+export const getCached = async (key) => {
+  try {
+    const [entry, value] = await withStores('readonly', ({ entries, values }) => [entries.get(key), values.get(key)]);
+    if (!entry || value === undefined) return undefined;
+    // Recency only matters to later evictions, so the hit does not wait for it
+    withStores('readwrite', ({ entries }) => entries.put({ ...entry, lastUsed: Date.now() }))
+      .catch((error) => console.warn('cacheService: could not mark entry as used', error));
+    return value;
+  } catch (error) {
+    console.warn('cacheService: read failed, skipping cache', error);
+    return undefined;
+  }
+};
+
+/**
+ * Stores a value, then evicts old entries beyond the size limit.
+ * @param {string} key
+ * @param {*} value - anything structured-cloneable
+ * @param {{kind: string, label: string, limitMb?: number}} meta
+ * @returns {Promise<void>}
+ */
+export const setCached = async (key, value, { kind, label, limitMb = DEFAULT_CACHE_LIMIT_MB }) => {
+  try {
+    const now = Date.now();
+    const size = new TextEncoder().encode(JSON.stringify(value)).length;
+    await withStores('readwrite', ({ entries, values }) => {
+      entries.put({ key, kind, label, size, createdAt: now, lastUsed: now });
+      values.put(value, key);
+    });
+    await trimCache(limitMb * 1024 * 1024);
+  } catch (error) {
+    console.warn('cacheService: write failed, result not cached', error);
+  }
+};
+
+/**
+ * All entries, most recently used first. Values are not included.
+ * @returns {Promise<CacheEntry[]>}
+ */
+export const listCacheEntries = async () => {
+  try {
+    const entries = await withStores('readonly', ({ entries }) => entries.index('lastUsed').getAll());
+    return entries.reverse();
+  } catch (error) {
+    console.warn('cacheService: could not list entries', error);
+    return [];
+  }
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export const deleteCacheEntry = (key) => withStores('readwrite', ({ entries, values }) => {
+  entries.delete(key);
+  values.delete(key);
+});
+
+/**
+ * Removes every cached response.
+ * @returns {Promise<void>}
+ */
+export const clearCache = () => withStores('readwrite', ({ entries, values }) => {
+  entries.clear();
+  values.clear();
+});
+
+/**
+ * Evicts least-recently-used entries until the total size fits `maxBytes`.
+ * Only entry metadata is read.
+ * @param {number} maxBytes
+ * @returns {Promise<void>}
+ */
+export const trimCache = async (maxBytes) => {
+  const byRecency = await listCacheEntries();
+  let total = byRecency.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+  while (total > maxBytes && byRecency.length) {
+    const oldest = byRecency.pop();
+    total -= oldest.size;
+    evicted.push(oldest.key);
+  }
+  if (evicted.length) {
+    await withStores('readwrite', ({ entries, values }) => {
+      evicted.forEach((key) => {
+        entries.delete(key);
+        values.delete(key);
+      });
+    });
+  }
+};
@@ -3,63 +3,23 @@
  * Handles the intelligent questionnaire flow for building system designs
  */
 
-const SYSTEM_PROMPT = `You are a friendly system design architect helping users build microservice architectures.
+import { MalformedOutputError } from './errors';
+import { NODE_TYPES, validateGraph } from './graphValidator';
+import { createLLMClient, isAbortError, sleep } from './llmService';
+import { serializeToMermaid } from './mermaidSerializer';
+import { renderPrompt } from './promptService';
 
-YOUR ROLE:
-- Guide users through understanding their project needs via conversation
-- Ask ONE question at a time, keep responses concise (2-3 sentences max)
-- Be conversational and encouraging, not robotic
-- Adapt your questions based on their answers
-
-TOPICS TO COVER (in flexible order):
-1. Project type (e-commerce, SaaS, social app, etc.)
-2. Expected scale (users, requests per day)
-3. Core features and functionality
-4. Data storage needs
-5. Third-party integrations
-6. Technical preferences or constraints
-
-RULES:
-- After 5-7 exchanges, summarize what you've learned and offer to generate the design
-- If user says "generate" or "done" early, proceed with what you have
-- Always be helpful and explain WHY you're asking something if relevant`;
-
-const GENERATION_PROMPT = `Based on this conversation, create a clean microservice architecture.
-
-REQUIREMENTS:
-- Include 7-15 components depending on complexity
-- ALWAYS include: Client/Frontend, API Gateway, at least one backend service, at least one database
-- Add as needed: Load Balancer, Cache (Redis), Message Queue, CDN, Auth Service, specific microservices
-- Keep it SIMPLE but COMPREHENSIVE - show the key components, not every detail
-- Use clear, descriptive names
-
-OUTPUT FORMAT - Return a JSON object with EXACTLY this structure:
-{
-  "summary": "Brief 1-2 sentence description of the architecture",
-  "mermaidCode": "graph TD\\n    ...(valid mermaid code)...",
-  "flowData": {
-    "nodes": [
-      { "id": "...", "type": "clientNode|serverNode|databaseNode|loadBalancerNode|cacheNode", "position": {"x": number, "y": number}, "data": {"label": "...", "description": "...", "tech": "..."} }
-    ],
-    "edges": [
-      { "id": "...", "source": "...", "target": "...", "animated": true, "label": "optional" }
-    ]
-  }
-}
-
-NODE TYPES:
-- clientNode: Frontend, Mobile, Browser
-- serverNode: Backend services, microservices, API Gateway
-- loadBalancerNode: Load balancers, reverse proxies
-- databaseNode: Databases (SQL, NoSQL)
-- cacheNode: Redis, Memcached, CDN
+/**
+ * Steps reported through `onProgress` while a design is generated, in order.
+ */
+export const GENERATION_STAGES = [
+  { id: 'request', label: 'Sending your requirements' },
+  { id: 'drafting', label: 'Drafting the architecture' },
+  { id: 'validating', label: 'Checking the design' },
+];
 
-POSITION NODES in a readable layout:
-- Frontend/Client at top (y: 0-50)
-- Gateway/Load Balancer next (y: 100-150)
-- Services in middle (y: 250-350)
-- Databases/Cache at bottom (y: 450-550)
-- Spread horizontally (x: varies based on count)`;
+// Matches a node's "type" field in the streamed JSON, to count components as they arrive
+const NODE_TYPE_PATTERN = new RegExp(`"type"\\s*:\\s*"(?:${NODE_TYPES.join('|')})"`, 'g');
 
 /**
  * Get initial greeting message from AI
@@ -79,225 +39,102 @@ I'll ask you a few questions about what you're building, and then generate a cle
  * Send a message in the conversation and get AI response
  * @param {Array} conversationHistory - Array of {role, content} messages
  * @param {string} userMessage - The user's new message
- * @param {string} apiKey - User's API Key
- * @param {string} provider - 'openai' or 'gemini'
+ * @param {Object} aiSettings - provider settings from SettingsContext
+ * @param {Object} [options]
+ * @param {(delta: string) => void} [options.onToken] - receives the reply as it streams in
+ * @param {AbortSignal} [options.signal] - stops the reply midway
  * @returns {Promise<{message: string, isReadyToGenerate: boolean}>}
  */
-export const sendChatMessage = async (conversationHistory, userMessage, apiKey, provider = 'openai') => {
-  if (apiKey) {
-    if (provider === 'gemini') {
-      return sendMessageWithGemini(conversationHistory, userMessage, apiKey);
-    } else {
-      return sendMessageWithOpenAI(conversationHistory, userMessage, apiKey);
-    }
-  } else {
-    // Fallback if no key provided (though UI restricts this if validation was stricter, but useful for dev)
-    const envKey = import.meta.env.VITE_OPENAI_API_KEY;
-    if (envKey) {
-      return sendMessageWithOpenAI(conversationHistory, userMessage, envKey);
-    }
-    return getMockChatResponse(conversationHistory, userMessage);
+export const sendChatMessage = async (conversationHistory, userMessage, aiSettings, { onToken, signal } = {}) => {
+  const llm = createLLMClient(aiSettings);
+  if (!llm) {
+    return getMockChatResponse(conversationHistory, userMessage, { onToken, signal });
   }
-};
 
-/**
- * Generate the system design from conversation
- * @param {Array} conversationHistory - The full conversation
- * @param {string} apiKey - User's API Key
- * @param {string} provider - 'openai' or 'gemini'
- * @returns {Promise<{summary: string, mermaidCode: string, flowData: object}>}
- */
-export const generateDesignFromChat = async (conversationHistory, apiKey, provider = 'openai') => {
-  if (apiKey) {
-    if (provider === 'gemini') {
-      return generateWithGemini(conversationHistory, apiKey);
-    } else {
-      return generateWithOpenAI(conversationHistory, apiKey);
-    }
-  } else {
-    const envKey = import.meta.env.VITE_OPENAI_API_KEY;
-    if (envKey) {
-      return generateWithOpenAI(conversationHistory, envKey);
-    }
-    return getMockDesign();
-  }
-};
-
-// ============ OpenAI Implementation ============
-
-const sendMessageWithOpenAI = async (conversationHistory, userMessage, apiKey) => {
   try {
-    const messages = [
-      { role: 'system', content: SYSTEM_PROMPT },
-      ...conversationHistory.map(m => ({ role: m.role, content: m.content })),
-      { role: 'user', content: userMessage }
-    ];
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages,
-        max_tokens: 500,
-        temperature: 0.7
-      })
+    // The history already ends with the user's new message
+    const aiMessage = await llm.chat({
+      system: renderPrompt('chat', aiSettings),
+      messages: conversationHistory.map(m => ({ role: m.role, content: m.content })),
+      maxTokens: 500,
+      temperature: 0.7,
+      onToken,
+      signal
     });
-
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
-
-    const aiMessage = data.choices[0].message.content;
     const isReadyToGenerate = checkIfReadyToGenerate(aiMessage, conversationHistory.length);
 
     return { message: aiMessage, isReadyToGenerate };
   } catch (error) {
-    console.error('Chat API Error:', error);
+    if (!isAbortError(error)) console.error(`${llm.provider.label} Chat API Error:`, error);
     throw error;
   }
 };
 
-const generateWithOpenAI = async (conversationHistory, apiKey) => {
+/**
+ * Generate the system design from conversation
+ * @param {Array} conversationHistory - The full conversation
+ * @param {Object} aiSettings - provider settings from SettingsContext
+ * @param {Object} [options]
+ * @param {(progress: {stage: string, components: number}) => void} [options.onProgress] - called
+ *   with the current GENERATION_STAGES id and how many components have been drafted so far
+ * @param {AbortSignal} [options.signal] - stops generation midway
+ * @returns {Promise<{summary: string, mermaidCode: string, flowData: object, repairs: string[]}>}
+ *   `repairs` lists fixes made to malformed AI output
+ */
+export const generateDesignFromChat = async (conversationHistory, aiSettings, { onProgress, signal } = {}) => {
+  const report = (stage, components = 0) => onProgress?.({ stage, components });
+  const llm = createLLMClient(aiSettings);
+  if (!llm) {
+    const design = await getMockDesign(report, signal);
+    report('validating', design.flowData.nodes.length);
+    return repairDesign(design);
+  }
+
   try {
     const conversationSummary = conversationHistory
       .map(m => `${m.role === 'user' ? 'User' : 'AI'}: ${m.content}`)
       .join('\n\n');
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: [
-          { role: 'system', content: GENERATION_PROMPT },
-          { role: 'user', content: `Here's the conversation about what to build:\n\n${conversationSummary}\n\nGenerate the system design.` }
-        ],
-        max_tokens: 4000,
-        response_format: { type: 'json_object' }
-      })
+    report('request');
+    let draft = '';
+    const design = await llm.json({
+      system: renderPrompt('generation', aiSettings),
+      prompt: `Here's the conversation about what to build:\n\n${conversationSummary}\n\nGenerate the system design. Return ONLY raw JSON.`,
+      maxTokens: 8192,
+      signal,
+      onToken: (delta) => {
+        draft += delta;
+        report('drafting', draft.match(NODE_TYPE_PATTERN)?.length || 0);
+      }
     });
-
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
-
-    const result = JSON.parse(data.choices[0].message.content);
-    return result;
+    report('validating', draft.match(NODE_TYPE_PATTERN)?.length || 0);
+    return repairDesign(design);
   } catch (error) {
-    console.error('Generation API Error:', error);
+    if (!isAbortError(error)) console.error(`${llm.provider.label} Generation API Error:`, error);
     throw error;
   }
 };
 
-// ============ Gemini Implementation ============
-
-const sendMessageWithGemini = async (conversationHistory, userMessage, apiKey) => {
-  try {
-    // Map roles: 'user' -> 'user', 'assistant' -> 'model'
-    const history = conversationHistory.map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.content }]
-    }));
-
-    const systemInstruction = {
-      role: 'user',
-      parts: [{ text: `SYSTEM INSTRUCTION: ${SYSTEM_PROMPT}` }]
-    };
-
-    // Note: Gemini API structure is slightly different for multi-turn chat via REST
-    // But we can use the generateContent endpoint with full history
-    const contents = [
-      systemInstruction, // Inject system prompt as first user message or use system_instruction in beta
-      ...history
-    ];
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: contents,
-        generationConfig: {
-          maxOutputTokens: 500,
-          temperature: 0.7
-        }
-      })
-    });
-
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
-
-    const aiMessage = data.candidates[0].content.parts[0].text;
-    const isReadyToGenerate = checkIfReadyToGenerate(aiMessage, conversationHistory.length);
-
-    return { message: aiMessage, isReadyToGenerate };
-
-  } catch (error) {
-    console.error('Gemini Chat API Error:', error);
-    throw error;
+// Validates the generated graph so a sloppy response cannot crash the canvas
+const repairDesign = (design) => {
+  const { graph, issues } = validateGraph(design?.flowData);
+  if (!graph.nodes.length) {
+    throw new MalformedOutputError('The generated design did not contain any components');
   }
-};
 
-const generateWithGemini = async (conversationHistory, apiKey) => {
-  try {
-    const conversationSummary = conversationHistory
-      .map(m => `${m.role === 'user' ? 'User' : 'AI'}: ${m.content}`)
-      .join('\n\n');
-
-    const prompt = `${GENERATION_PROMPT}\n\nHere's the conversation about what to build:\n\n${conversationSummary}\n\nGenerate the system design. Return ONLY raw JSON.`;
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: [{
-          role: 'user',
-          parts: [{ text: prompt }]
-        }],
-        generationConfig: {
-          maxOutputTokens: 8192,
-          responseMimeType: "application/json"
-        }
-      })
-    });
-
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
-
-    const text = data.candidates[0].content.parts[0].text;
-
-    // More robust JSON extraction
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    const jsonStr = jsonMatch ? jsonMatch[0] : text;
-
-    return JSON.parse(jsonStr);
-
-  } catch (error) {
-    console.error('Gemini Generation API Error:', error);
-    throw error;
+  let mermaidCode = design.mermaidCode;
+  if (typeof mermaidCode !== 'string' || !mermaidCode.trim()) {
+    mermaidCode = serializeToMermaid(graph, graph.direction);
+    issues.push('Mermaid code was missing; rebuilt it from the graph');
   }
-};
 
+  return {
+    summary: typeof design.summary === 'string' ? design.summary : '',
+    mermaidCode,
+    flowData: graph,
+    repairs: issues,
+  };
+};
 
 const checkIfReadyToGenerate = (message, historyLength) => {
   const lowerMessage = message.toLowerCase();
@@ -317,20 +154,31 @@ const mockResponses = [
   { trigger: 5, response: "Awesome! I think I have a good picture now. 🎨\n\n**Here's what I understood:**\n- You're building a scalable application\n- With auth, data storage, and integrations\n- Needs to be reliable and performant\n\n**Ready to generate your system design?** Just click the button below!" }
 ];
 
-const getMockChatResponse = async (conversationHistory, userMessage) => {
-  await new Promise(resolve => setTimeout(resolve, 800 + Math.random() * 700));
+const getMockChatResponse = async (conversationHistory, userMessage, { onToken, signal }) => {
+  await sleep(800 + Math.random() * 700, signal);
 
   const exchangeCount = Math.floor(conversationHistory.length / 2);
   const mockResponse = mockResponses[Math.min(exchangeCount, mockResponses.length - 1)];
 
+  // Stream word by word so the mock behaves like a real provider
+  if (onToken) {
+    for (const word of mockResponse.response.match(/\S+\s*/g)) {
+      await sleep(30, signal);
+      onToken(word);
+    }
+  }
+
   return {
     message: mockResponse.response,
     isReadyToGenerate: exchangeCount >= 5
   };
 };
 
-const getMockDesign = async () => {
-  await new Promise(resolve => setTimeout(resolve, 1500));
+const getMockDesign = async (report, signal) => {
+  report('request');
+  await sleep(500, signal);
+  report('drafting');
+  await sleep(1000, signal);
 
   return {
     summary: "A scalable microservice architecture with load balancing, API gateway, multiple backend services, caching, and database layers.",
@@ -0,0 +1,83 @@
+/**
+ * Diagram Merge Service
+ * Combines the Mermaid diagrams read from several pages or slides into one.
+ * Components with the same label on different pages are treated as the same
+ * component, so a service drawn on every slide appears once, with the
+ * connections from all of them.
+ */
+
+import { isGroupNode } from './groupService';
+import { parseMermaid } from './mermaidParser';
+import { serializeToMermaid } from './mermaidSerializer';
+
+// "API Gateway", "api-gateway" and "API  gateway" name the same component
+const labelKey = (node) => `${isGroupNode(node) ? 'group' : 'node'}:${String(node.data?.label || node.id)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()}`;
+
+/**
+ * Merges per-page Mermaid diagrams, deduplicating components by label.
+ * Pages whose code does not parse are skipped. The first page decides the
+ * layout direction and, for duplicates, the shape, type, group and source
+ * box. Boxes are tagged with the page they were read from.
+ * @param {string[]} codes - Mermaid code per page, in page order
+ * @returns {string} merged Mermaid diagram
+ */
+export const mergeMermaidDiagrams = (codes) => {
+  const graphs = codes.flatMap((code, index) => {
+    try {
+      return [{ ...parseMermaid(code), page: index }];
+    } catch (error) {
+      console.warn(`diagramMergeService: skipping page ${index + 1}, its diagram does not parse:`, error.message);
+      return [];
+    }
+  });
+  if (!graphs.length) {
+    throw new Error('None of the pages produced a readable diagram');
+  }
+
+  const nodes = [];
+  const edges = [];
+  const byLabel = new Map();
+  const usedIds = new Set();
+  const edgeKeys = new Set();
+
+  graphs.forEach((graph) => {
+    // Page-local id -> merged id; groups come first, so parents resolve before children
+    const ids = new Map();
+    for (const node of graph.nodes) {
+      const key = labelKey(node);
+      const existing = byLabel.get(key);
+      if (existing) {
+        ids.set(node.id, existing.id);
+        continue;
+      }
+
+      let id = node.id;
+      for (let suffix = graph.page + 1; usedIds.has(id); suffix++) {
+        id = `${node.id}_p${suffix}`;
+      }
+      const merged = { ...node, id };
+      if (node.data.bbox) merged.data = { ...node.data, bbox: { ...node.data.bbox, page: graph.page } };
+      if (node.parentNode) merged.parentNode = ids.get(node.parentNode);
+      usedIds.add(id);
+      byLabel.set(key, merged);
+      ids.set(node.id, id);
+      nodes.push(merged);
+    }
+
+    for (const edge of graph.edges) {
+      const source = ids.get(edge.source);
+      const target = ids.get(edge.target);
+      // A link between two copies of one component collapses into nothing
+      if (!source || !target || source === target) continue;
+      const key = `${source}->${target}:${edge.label || ''}`;
+      if (edgeKeys.has(key)) continue;
+      edgeKeys.add(key);
+      edges.push({ ...edge, id: `e${edges.length}`, source, target });
+    }
+  });
+
+  return serializeToMermaid({ nodes, edges }, graphs[0].direction);
+};
@@ -0,0 +1,371 @@
+/**
+ * draw.io Service
+ * Reads diagrams.net (`.drawio` / mxGraph XML) files straight into React Flow
+ * nodes and edges, keeping the original geometry, and writes graphs back out
+ * as `.drawio` files.
+ */
+
+import { GROUP_NODE_TYPE, isGroupNode } from './groupService';
+import { inferNodeType } from './mermaidParser';
+
+// draw.io shape names → Mermaid shapes, so the diagram round-trips to Mermaid
+const SHAPE_MAP = [
+  { pattern: /cylinder|datastore/i, shape: 'cylinder' },
+  { pattern: /^(ellipse|doubleEllipse)$/i, shape: 'circle' },
+  { pattern: /^rhombus$/i, shape: 'rhombus' },
+  { pattern: /^hexagon$/i, shape: 'hexagon' },
+  { pattern: /^parallelogram$/i, shape: 'parallelogram' },
+  { pattern: /^trapezoid$/i, shape: 'trapezoid' },
+  { pattern: /^process$/i, shape: 'subroutine' },
+];
+
+// Stencil names (e.g. mxgraph.aws4.rds) that identify the component type
+const SHAPE_TYPE_HINTS = [
+  { type: 'cacheNode', pattern: /elasticache|cache|redis|cdn|cloudfront/i },
+  { type: 'databaseNode', pattern: /cylinder|datastore|database|rds|dynamo|aurora|sql|s3/i },
+  { type: 'loadBalancerNode', pattern: /load_?balanc|elb|alb|nginx/i },
+  { type: 'clientNode', pattern: /user|client|mobile|browser|laptop|desktop|actor/i },
+];
+
+const CONTAINER_SHAPES = /^(swimlane|group|table)$/i;
+
+/**
+ * Whether a file looks like a draw.io / diagrams.net document.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isDrawioFile = (file) => /\.(drawio|xml)$/i.test(file.name)
+  || file.type === 'application/xml'
+  || file.type === 'text/xml';
+
+/**
+ * Converts a draw.io file to React Flow nodes and edges.
+ * Only the first page of multi-page files is imported.
+ * @param {File} file
+ * @returns {Promise<{nodes: Array, edges: Array, direction: string}>}
+ */
+export const importDrawio = async (file) => {
+  const text = await file.text();
+  const model = await readGraphModel(text);
+  return convertGraphModel(model);
+};
+
+// Finds the <mxGraphModel>, inflating compressed <diagram> payloads when needed
+const readGraphModel = async (text) => {
+  const doc = parseXml(text);
+
+  const inline = doc.querySelector('mxGraphModel');
+  if (inline) return inline;
+
+  const diagram = doc.querySelector('diagram');
+  if (!diagram || !diagram.textContent.trim()) {
+    throw new Error('No draw.io diagram found in file');
+  }
+
+  const inflated = await inflateDiagram(diagram.textContent.trim());
+  const model = parseXml(inflated).querySelector('mxGraphModel');
+  if (!model) {
+    throw new Error('Compressed draw.io diagram could not be read');
+  }
+  return model;
+};
+
+const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('File is not valid draw.io XML');
+  }
+  return doc;
+};
+
+// Compressed diagrams are base64(raw-deflate(encodeURIComponent(xml)))
+const inflateDiagram = async (encoded) => {
+  const bytes = Uint8Array.from(atob(encoded), (char) => char.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const text = await new Response(stream).text();
+  return decodeURIComponent(text);
+};
+
+const convertGraphModel = (model) => {
+  const cells = [...model.querySelectorAll('mxCell')].map(readCell);
+  const byId = new Map(cells.map((cell) => [cell.id, cell]));
+
+  // Cells directly under the root are layers; their children are top level
+  const rootIds = new Set(cells.filter((cell) => !cell.parent).map((cell) => cell.id));
+  const layerIds = new Set(cells.filter((cell) => rootIds.has(cell.parent)).map((cell) => cell.id));
+
+  const vertices = cells.filter((cell) => cell.vertex && !layerIds.has(cell.id));
+  const edgeCells = cells.filter((cell) => cell.edge);
+  const edgeIds = new Set(edgeCells.map((cell) => cell.id));
+
+  // Text cells sitting on an edge are that edge's label, not nodes
+  const edgeLabels = new Map();
+  const nodeCells = vertices.filter((cell) => {
+    if (!edgeIds.has(cell.parent)) return true;
+    if (cell.label) edgeLabels.set(cell.parent, cell.label);
+    return false;
+  });
+
+  const parentIds = new Set(nodeCells.map((cell) => cell.parent));
+  const isContainer = (cell) => parentIds.has(cell.id)
+    || CONTAINER_SHAPES.test(cell.shapeName)
+    || cell.style.container === '1';
+
+  const isTopLevel = (cell) => layerIds.has(cell.parent) || rootIds.has(cell.parent);
+
+  const depth = (cell) => {
+    let level = 0;
+    for (let current = cell; current && !isTopLevel(current); current = byId.get(current.parent)) {
+      level++;
+    }
+    return level;
+  };
+
+  // Parents must precede their children for React Flow
+  const nodes = [...nodeCells]
+    .sort((a, b) => depth(a) - depth(b))
+    .map((cell) => {
+      const node = isContainer(cell) ? toGroupNode(cell) : toNode(cell);
+      return isTopLevel(cell) ? node : { ...node, parentNode: cell.parent, extent: 'parent' };
+    });
+
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edges = edgeCells
+    .filter((cell) => nodeIds.has(cell.source) && nodeIds.has(cell.target))
+    .map((cell) => toEdge(cell, cell.label || edgeLabels.get(cell.id)));
+
+  return { nodes, edges, direction: 'TD' };
+};
+
+const readCell = (element) => {
+  const style = parseStyle(element.getAttribute('style') || '');
+  const geometry = element.querySelector('mxGeometry');
+  // Cells with custom properties are wrapped in <UserObject>/<object>, which holds the id and label
+  const wrapper = /^(UserObject|object)$/.test(element.parentElement?.tagName) ? element.parentElement : null;
+  const value = wrapper ? wrapper.getAttribute('label') : element.getAttribute('value');
+  return {
+    description: wrapper?.getAttribute('description') || '',
+    tech: wrapper?.getAttribute('tech') || '',
+    nodeType: wrapper?.getAttribute('nodeType') || '',
+    id: wrapper?.getAttribute('id') || element.getAttribute('id'),
+    parent: element.getAttribute('parent'),
+    source: element.getAttribute('source'),
+    target: element.getAttribute('target'),
+    vertex: element.getAttribute('vertex') === '1',
+    edge: element.getAttribute('edge') === '1',
+    label: htmlToText(value || ''),
+    style,
+    shapeName: style.shape || style.$name || '',
+    geometry: {
+      x: Number(geometry?.getAttribute('x')) || 0,
+      y: Number(geometry?.getAttribute('y')) || 0,
+      width: Number(geometry?.getAttribute('width')) || 0,
+      height: Number(geometry?.getAttribute('height')) || 0,
+    },
+  };
+};
+
+// `ellipse;whiteSpace=wrap;fillColor=#fff` → { $name: 'ellipse', whiteSpace: 'wrap', ... }
+const parseStyle = (style) => {
+  const result = {};
+  style.split(';').filter(Boolean).forEach((part, index) => {
+    const [key, ...value] = part.split('=');
+    if (!value.length) {
+      if (index === 0) result.$name = key;
+      else result[key] = '1';
+      return;
+    }
+    result[key] = value.join('=');
+  });
+  return result;
+};
+
+const htmlToText = (value) => {
+  if (!/[<&]/.test(value)) return value.trim();
+  const html = value.replace(/<br\s*\/?>/gi, ' ').replace(/<\/(div|p)>/gi, ' ');
+  const text = new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+const toMermaidShape = (cell) => {
+  const match = SHAPE_MAP.find(({ pattern }) => pattern.test(cell.shapeName));
+  if (match) return match.shape;
+  return cell.style.rounded === '1' ? 'round' : 'rect';
+};
+
+// Smallest box the app's nodes render in without spilling over (BaseNode in
+// CustomNodes: 180px min width, icon row plus padding and border)
+const MIN_NODE_SIZE = { width: 180, height: 68 };
+
+const toNode = (cell) => {
+  const shape = toMermaidShape(cell);
+  const label = cell.label || cell.id;
+  const inferred = inferNodeType(shape, label);
+  const hint = SHAPE_TYPE_HINTS.find(({ pattern }) => pattern.test(cell.shapeName));
+  // Files written by exportDrawio record the node type explicitly
+  const exported = TYPE_STYLES[cell.nodeType] ? cell.nodeType : null;
+  return {
+    id: cell.id,
+    type: exported || (inferred === 'cacheNode' ? inferred : hint?.type || inferred),
+    position: { x: cell.geometry.x, y: cell.geometry.y },
+    data: { label, description: cell.description, tech: cell.tech, shape },
+    ...(cell.geometry.width && cell.geometry.height && {
+      style: {
+        width: Math.max(cell.geometry.width, MIN_NODE_SIZE.width),
+        height: Math.max(cell.geometry.height, MIN_NODE_SIZE.height),
+      },
+    }),
+  };
+};
+
+const toGroupNode = (cell) => ({
+  id: cell.id,
+  type: GROUP_NODE_TYPE,
+  position: { x: cell.geometry.x, y: cell.geometry.y },
+  style: { width: cell.geometry.width, height: cell.geometry.height },
+  data: { label: cell.label || cell.id, collapsed: false },
+});
+
+const toEdge = (cell, label) => {
+  const edge = {
+    id: cell.id,
+    source: cell.source,
+    target: cell.target,
+    animated: true,
+  };
+  if (label) edge.label = label;
+  const strokeWidth = Number(cell.style.strokeWidth);
+  const style = {
+    ...(cell.style.dashed === '1' && { strokeDasharray: '5,5' }),
+    ...(strokeWidth > 0 && { strokeWidth }),
+  };
+  if (Object.keys(style).length) edge.style = style;
+
+  const endArrow = cell.style.endArrow !== 'none';
+  const startArrow = Boolean(cell.style.startArrow) && cell.style.startArrow !== 'none';
+  if (!endArrow || startArrow) {
+    edge.data = { arrowhead: endArrow && startArrow ? 'both' : 'none' };
+  }
+  return edge;
+};
+
+// Export styles per node type, colored like the custom nodes in CustomNodes.jsx
+const TYPE_STYLES = {
+  clientNode: { shape: 'stadium', fill: '#f3e8ff', stroke: '#a855f7' },
+  serverNode: { shape: 'rect', fill: '#dbeafe', stroke: '#3b82f6' },
+  databaseNode: { shape: 'cylinder', fill: '#d1fae5', stroke: '#10b981' },
+  loadBalancerNode: { shape: 'hexagon', fill: '#ffedd5', stroke: '#f97316' },
+  cacheNode: { shape: 'cylinder', fill: '#fef9c3', stroke: '#eab308' },
+};
+
+// Mermaid shapes → draw.io base styles, the inverse of SHAPE_MAP
+const SHAPE_STYLES = {
+  cylinder: 'shape=cylinder3;boundedLbl=1;backgroundOutline=1;size=15;',
+  circle: 'ellipse;',
+  doublecircle: 'ellipse;shape=doubleEllipse;',
+  rhombus: 'rhombus;',
+  hexagon: 'shape=hexagon;perimeter=hexagonPerimeter2;fixedSize=1;',
+  parallelogram: 'shape=parallelogram;perimeter=parallelogramPerimeter;fixedSize=1;',
+  trapezoid: 'shape=trapezoid;perimeter=trapezoidPerimeter;fixedSize=1;',
+  subroutine: 'shape=process;backgroundOutline=1;',
+  stadium: 'rounded=1;arcSize=50;',
+  round: 'rounded=1;',
+  rect: '',
+};
+
+const DEFAULT_NODE_SIZE = { width: 220, height: 80 };
+const GROUP_STYLE = 'swimlane;startSize=30;rounded=1;dashed=1;fillColor=none;strokeColor=#64748b;fontStyle=1;';
+
+/**
+ * Serializes a React Flow graph to an uncompressed `.drawio` document.
+ * @param {{nodes: Array, edges: Array}} graph
+ * @param {string} name - page name shown in diagrams.net
+ * @returns {string} draw.io XML
+ */
+export const exportDrawio = ({ nodes, edges }, name = 'System Design') => {
+  const ids = new Map();
+  const used = new Set(['0', '1']);
+  const cellId = (id) => {
+    let candidate = String(id);
+    for (let i = 2; used.has(candidate); i++) {
+      candidate = `${id}-${i}`;
+    }
+    used.add(candidate);
+    return candidate;
+  };
+  nodes.forEach((node) => ids.set(node.id, cellId(node.id)));
+
+  const cells = [
+    ...nodes.map((node) => nodeCell(node, ids)),
+    ...edges
+      .filter((edge) => !edge.hidden && ids.has(edge.source) && ids.has(edge.target))
+      .map((edge) => edgeCell(edge, cellId(edge.id), ids)),
+  ];
+
+  return [
+    '<mxfile host="System Design Visualizer" type="device">',
+    `  <diagram id="${cellId('page')}" name="${escapeXml(name)}">`,
+    '    <mxGraphModel grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="0" math="0" shadow="0">',
+    '      <root>',
+    '        <mxCell id="0" />',
+    '        <mxCell id="1" parent="0" />',
+    ...cells.map((cell) => `        ${cell}`),
+    '      </root>',
+    '    </mxGraphModel>',
+    '  </diagram>',
+    '</mxfile>',
+    '',
+  ].join('\n');
+};
+
+const nodeCell = (node, ids) => {
+  const parent = ids.get(node.parentNode) || '1';
+  const size = nodeSize(node);
+  const geometry = `<mxGeometry x="${round(node.position?.x)}" y="${round(node.position?.y)}" width="${round(size.width)}" height="${round(size.height)}" as="geometry" />`;
+
+  if (isGroupNode(node)) {
+    return `<mxCell id="${ids.get(node.id)}" value="${escapeXml(node.data?.label || '')}" style="${GROUP_STYLE}" vertex="1" parent="${parent}">${geometry}</mxCell>`;
+  }
+
+  const typeStyle = TYPE_STYLES[node.type] || TYPE_STYLES.serverNode;
+  const shape = SHAPE_STYLES[node.data?.shape] !== undefined ? node.data.shape : typeStyle.shape;
+  const style = `${SHAPE_STYLES[shape]}whiteSpace=wrap;html=1;fillColor=${typeStyle.fill};strokeColor=${typeStyle.stroke};fontColor=#0f172a;`;
+
+  // Description and tech travel as custom properties so a re-import keeps them
+  return `<UserObject id="${ids.get(node.id)}" label="${escapeXml(node.data?.label || node.id)}" description="${escapeXml(node.data?.description || '')}" tech="${escapeXml(node.data?.tech || '')}" nodeType="${escapeXml(node.type || '')}">`
+    + `<mxCell style="${style}" vertex="1" parent="${parent}">${geometry}</mxCell></UserObject>`;
+};
+
+const edgeCell = (edge, id, ids) => {
+  const arrowhead = edge.data?.arrowhead;
+  let style = 'edgeStyle=orthogonalEdgeStyle;rounded=1;html=1;';
+  if (edge.style?.strokeDasharray) style += 'dashed=1;';
+  if (Number(edge.style?.strokeWidth) > 0) style += `strokeWidth=${edge.style.strokeWidth};`;
+  if (arrowhead === 'none') style += 'endArrow=none;';
+  if (arrowhead === 'both') style += 'startArrow=classic;';
+
+  const label = typeof edge.label === 'string' ? edge.label : '';
+  return `<mxCell id="${id}" value="${escapeXml(label)}" style="${style}" edge="1" parent="1" source="${ids.get(edge.source)}" target="${ids.get(edge.target)}"><mxGeometry relative="1" as="geometry" /></mxCell>`;
+};
+
+// Prefer the size React Flow measured, then the one kept from an import;
+// groups carry theirs in style
+const nodeSize = (node) => {
+  if (isGroupNode(node)) {
+    const size = node.data?.collapsed ? node.data.expandedSize : node.style;
+    return { width: size?.width || DEFAULT_NODE_SIZE.width, height: size?.height || DEFAULT_NODE_SIZE.height };
+  }
+  return {
+    width: node.width || node.style?.width || DEFAULT_NODE_SIZE.width,
+    height: node.height || node.style?.height || DEFAULT_NODE_SIZE.height,
+  };
+};
+
+const round = (value) => Math.round(Number(value) || 0);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\n/g, '&#10;');
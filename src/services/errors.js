@@ -0,0 +1,211 @@
+/**
+ * Errors
+ * Typed errors for AI requests, so the UI can tell the user what went wrong
+ * and what to do next instead of showing a raw message. Adapters throw these
+ * from HTTP responses; services throw them for replies they cannot use.
+ */
+
+/**
+ * Base class for failed AI requests. `status` and `retryAfter` (milliseconds)
+ * come from the HTTP response when there was one; llmService retries on them.
+ */
+export class AIError extends Error {
+  constructor(message, { status, retryAfter, cause } = {}) {
+    super(message, { cause });
+    // Set explicitly: class names do not survive minification
+    this.name = 'AIError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The provider rejected the API key (or it lacks access to the model)
+export class InvalidKeyError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidKeyError';
+  }
+}
+
+// Rate limited, or out of credits / quota
+export class QuotaExceededError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+// The provider refused the input or its own output on safety grounds
+export class ContentFilteredError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ContentFilteredError';
+  }
+}
+
+// The reply arrived but was empty or could not be parsed into what we asked for
+export class MalformedOutputError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MalformedOutputError';
+  }
+}
+
+// The request never got a response: offline, DNS, CORS or a stopped server
+export class NetworkError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+// The monthly budget cap in Settings stopped the request before it was sent
+export class BudgetExceededError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+// A monthly budget is set but the model has no price, so its spend could not be counted
+export class UnpricedModelError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UnpricedModelError';
+  }
+}
+
+// Replay mode was asked something the loaded fixture file has no recording of
+export class FixtureMissingError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'FixtureMissingError';
+  }
+}
+
+export class RequestTimeoutError extends AIError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+const CONTENT_FILTER_PATTERN = /content[ _-]?(filter|policy|management)|safety|moderation/i;
+
+/**
+ * Builds a typed error from a failed response.
+ * @param {Response} response
+ * @param {string} message - the provider's error message, if any
+ * @param {string} [code] - the provider's error code, if any
+ * @returns {AIError}
+ */
+export const responseError = (response, message, code) => {
+  const details = {
+    status: response.status,
+    retryAfter: parseRetryAfter(response.headers?.get('retry-after')),
+  };
+  // Quota and rate-limit messages often mention the API key too
+  if (response.status === 429 || response.status === 402) return new QuotaExceededError(message, details);
+  if (response.status === 401 || response.status === 403) return new InvalidKeyError(message, details);
+  // Gemini reports bad keys as 400 INVALID_ARGUMENT
+  if (response.status === 400 && /api[ _-]?key/i.test(message)) return new InvalidKeyError(message, details);
+  if (CONTENT_FILTER_PATTERN.test(`${code || ''} ${message}`)) return new ContentFilteredError(message, details);
+  return new AIError(message, details);
+};
+
+/**
+ * `fetch` rejection handler that turns connection failures into NetworkError.
+ * Aborts pass through unchanged.
+ * @param {string} label - provider name for the message
+ * @returns {(error: Error) => never}
+ */
+export const networkError = (label) => (error) => {
+  if (error instanceof TypeError) {
+    throw new NetworkError(`Could not reach ${label}`, { cause: error });
+  }
+  throw error;
+};
+
+/**
+ * User-facing summary of an error with the suggested next step.
+ * `action` is 'settings' (fix configuration), 'retry' or null.
+ * @param {Error} error
+ * @returns {{title: string, message: string, action: 'settings'|'retry'|null}}
+ */
+export const describeError = (error) => {
+  switch (error?.name) {
+    case 'InvalidKeyError':
+      return {
+        title: 'API key rejected',
+        message: `${sentence(error.message)}. Check the key and provider in Settings.`,
+        action: 'settings',
+      };
+    case 'QuotaExceededError':
+      return {
+        title: 'Rate limit or quota reached',
+        message: 'The provider is limiting requests. Wait a moment and try again, or check your plan and billing.',
+        action: 'retry',
+      };
+    case 'ContentFilteredError':
+      return {
+        title: 'Blocked by content filter',
+        message: 'The provider declined this request. Try a different image or rephrase your message.',
+        action: 'retry',
+      };
+    case 'MalformedOutputError':
+      return {
+        title: 'Unusable response',
+        message: `${sentence(error.message)}. Trying again usually helps; a stronger model in Settings may be more reliable.`,
+        action: 'retry',
+      };
+    case 'NetworkError':
+      return {
+        title: 'Connection failed',
+        message: `${sentence(error.message)}. Check your connection; self-hosted servers must be running and allow this page via CORS.`,
+        action: 'retry',
+      };
+    case 'TimeoutError':
+      return {
+        title: 'Request timed out',
+        message: `${sentence(error.message)}. Try again, or raise the timeout in Settings.`,
+        action: 'retry',
+      };
+    case 'BudgetExceededError':
+      return {
+        title: 'Monthly budget reached',
+        message: `${sentence(error.message)}. Raise or remove the budget in Settings to keep using AI features this month.`,
+        action: 'settings',
+      };
+    case 'UnpricedModelError':
+      return {
+        title: 'Model has no price',
+        message: `${sentence(error.message)}. Enter its price in Settings' price table, or remove the monthly budget.`,
+        action: 'settings',
+      };
+    case 'FixtureMissingError':
+      return {
+        title: 'No recorded response',
+        message: `${sentence(error.message)}. Record this flow with a real provider, or load a fixture file that covers it.`,
+        action: 'settings',
+      };
+    default:
+      return {
+        title: 'Something went wrong',
+        message: error?.message || String(error),
+        // Other failures (bad files, parse errors) will not go away on retry
+        action: error instanceof AIError ? 'retry' : null,
+      };
+  }
+};
+
+// Provider messages often end in a period; drop it before adding advice
+const sentence = (message) => String(message).replace(/[.\s]+$/, '');
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
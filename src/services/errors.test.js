@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { responseError } from './errors';
+
+const response = (status) => ({ status, headers: new Headers() });
+
+describe('responseError', () => {
+  it('reports quota and rate limits even when the message mentions the API key', () => {
+    expect(responseError(response(429), 'Rate limit reached for this API key').name).toBe('QuotaExceededError');
+    expect(responseError(response(402), 'Your API key has run out of credit').name).toBe('QuotaExceededError');
+  });
+
+  it('reports rejected keys', () => {
+    expect(responseError(response(401), 'Unauthorized').name).toBe('InvalidKeyError');
+    expect(responseError(response(400), 'API key not valid. Please pass a valid API key.').name).toBe('InvalidKeyError');
+  });
+
+  it('does not take other errors about keys for a rejected key', () => {
+    expect(responseError(response(500), 'Internal error while checking the API key').name).toBe('AIError');
+  });
+});
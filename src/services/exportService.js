@@ -0,0 +1,189 @@
+/**
+ * Export Service
+ * Downloads diagrams as files: SVG, PNG (1x/2x/4x) and single-page PDF images
+ * of the React Flow canvas and the rendered Mermaid diagram, in either theme.
+ */
+
+import { toPng, toSvg } from 'html-to-image';
+import mermaid from 'mermaid';
+import { getNodesBounds } from 'reactflow';
+import { getTheme } from '../themes';
+
+export const EXPORT_FORMATS = ['svg', 'png', 'pdf'];
+export const EXPORT_SCALES = [1, 2, 4];
+
+const CANVAS_PADDING = 40;
+const PDF_SCALE = 2;
+
+/**
+ * Triggers a browser download for in-memory content.
+ * @param {string|Blob} content - file contents
+ * @param {string} fileName - suggested file name
+ * @param {string} mimeType - MIME type used when content is a string
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Exports the React Flow canvas, framed around all visible nodes.
+ * @param {HTMLElement} element - element containing the `.react-flow` instance
+ * @param {Array} nodes - React Flow's internal nodes, from `useReactFlow().getNodes()`,
+ *   which carry `positionAbsolute` for nodes inside groups
+ * @param {{format: string, scale: number, transparent: boolean, theme: string, fileName: string}} options
+ */
+export const exportCanvas = async (element, nodes, options) => {
+  const viewport = element.querySelector('.react-flow__viewport');
+  if (!viewport) throw new Error('Diagram canvas is not ready yet');
+
+  const bounds = getNodesBounds(nodes.filter((node) => !node.hidden));
+  const width = Math.ceil(bounds.width + CANVAS_PADDING * 2);
+  const height = Math.ceil(bounds.height + CANVAS_PADDING * 2);
+  const theme = getTheme(options.theme);
+
+  const captureOptions = {
+    width,
+    height,
+    backgroundColor: options.transparent ? undefined : theme.colors['--bg-primary'],
+    // Frame the nodes regardless of the user's current pan and zoom
+    style: {
+      width: `${width}px`,
+      height: `${height}px`,
+      transform: `translate(${CANVAS_PADDING - bounds.x}px, ${CANVAS_PADDING - bounds.y}px) scale(1)`,
+    },
+  };
+
+  const dataUrl = await withThemeColors(element, theme, () => (options.format === 'svg'
+    ? toSvg(viewport, captureOptions)
+    : toPng(viewport, {
+      ...captureOptions,
+      pixelRatio: options.format === 'pdf' ? PDF_SCALE : options.scale,
+    })));
+
+  await saveImage(dataUrl, { width, height }, options);
+};
+
+/**
+ * Exports a Mermaid diagram, re-rendered in the requested theme.
+ * @param {string} chart - Mermaid code
+ * @param {{format: string, scale: number, transparent: boolean, theme: string, fileName: string}} options
+ */
+export const exportMermaid = async (chart, options) => {
+  const theme = getTheme(options.theme);
+  // Plain SVG text labels keep the file portable and safe to draw onto a canvas
+  const config = {
+    theme: theme.colors['--mermaid-theme'],
+    htmlLabels: false,
+    flowchart: { htmlLabels: false },
+  };
+  const { svg } = await mermaid.render(
+    `mermaid-export-${Date.now()}`,
+    withDirective(chart, `%%{init: ${JSON.stringify(config)}}%%`)
+  );
+
+  const { markup, width, height } = prepareSvg(svg, options.transparent ? null : theme.colors['--bg-primary']);
+
+  if (options.format === 'svg') {
+    downloadFile(markup, `${options.fileName}.svg`, 'image/svg+xml');
+    return;
+  }
+
+  const scale = options.format === 'pdf' ? PDF_SCALE : options.scale;
+  const dataUrl = await rasterizeSvg(markup, width, height, scale);
+  await saveImage(dataUrl, { width, height }, options);
+};
+
+// Mermaid only reads `---` frontmatter at the very start of a chart, so the
+// directive goes after it
+const withDirective = (chart, directive) => {
+  const frontmatter = chart.match(/^\s*---[^\S\n]*\n[\s\S]*?\n[^\S\n]*---[^\S\n]*(?:\n|$)/)?.[0] || '';
+  return `${frontmatter}${directive}\n${chart.slice(frontmatter.length)}`;
+};
+
+// Writes an image data URL to disk in the requested format
+const saveImage = async (dataUrl, size, options) => {
+  if (options.format === 'pdf') {
+    downloadFile(await toPdf(dataUrl, size), `${options.fileName}.pdf`);
+    return;
+  }
+  const blob = await (await fetch(dataUrl)).blob();
+  downloadFile(blob, `${options.fileName}.${options.format}`);
+};
+
+// Single page sized to the diagram, so nothing is cropped or letterboxed
+const toPdf = async (dataUrl, { width, height }) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({
+    orientation: width > height ? 'landscape' : 'portrait',
+    unit: 'px',
+    format: [width, height],
+    hotfixes: ['px_scaling'],
+  });
+  pdf.addImage(dataUrl, 'PNG', 0, 0, width, height);
+  return pdf.output('blob');
+};
+
+/**
+ * Temporarily applies a theme's CSS variables to an element so a capture uses
+ * those colors instead of the current UI theme.
+ */
+const withThemeColors = async (element, theme, capture) => {
+  const previous = Object.keys(theme.colors).map((name) => [name, element.style.getPropertyValue(name)]);
+  element.classList.add('exporting');
+  Object.entries(theme.colors).forEach(([name, value]) => element.style.setProperty(name, value));
+
+  try {
+    return await capture();
+  } finally {
+    previous.forEach(([name, value]) => (value
+      ? element.style.setProperty(name, value)
+      : element.style.removeProperty(name)));
+    element.classList.remove('exporting');
+  }
+};
+
+// Gives a Mermaid SVG explicit dimensions and an optional background
+const prepareSvg = (svg, background) => {
+  const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+  const root = doc.documentElement;
+  const [x, y, width, height] = (root.getAttribute('viewBox') || '0 0 800 600').split(/[\s,]+/).map(Number);
+
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.style.removeProperty('max-width');
+
+  if (background) {
+    const rect = doc.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    rect.setAttribute('fill', background);
+    root.insertBefore(rect, root.firstChild);
+  }
+
+  return { markup: new XMLSerializer().serializeToString(root), width, height };
+};
+
+const rasterizeSvg = async (markup, width, height, scale) => {
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * scale);
+  canvas.height = Math.ceil(height * scale);
+  const context = canvas.getContext('2d');
+  context.scale(scale, scale);
+  context.drawImage(image, 0, 0, width, height);
+  return canvas.toDataURL('image/png');
+};
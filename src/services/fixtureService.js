@@ -0,0 +1,103 @@
+/**
+ * Fixture Service
+ * Record-and-replay of AI traffic. In record mode llmService saves every
+ * completed request with the reply it got; the exported fixture file is what
+ * the replay provider serves, so the upload and chat flows can be demoed,
+ * debugged and regression-tested with no network.
+ */
+
+import { hashContent } from './cacheService';
+
+export const FIXTURE_FORMAT = 'system-design-visualizer-fixtures';
+export const FIXTURE_VERSION = 1;
+export const FIXTURE_EXTENSION = '.fixtures.json';
+
+const STORAGE_KEY = 'app_recorded_fixtures';
+
+/**
+ * @typedef {Object} FixtureEntry
+ * @property {string} task - 'vision', 'chat' or 'generation'
+ * @property {string} provider - provider that produced the reply
+ * @property {string} model
+ * @property {{system: string, messages: Array, image: string|null, json: boolean}} request -
+ *   readable copy of the request; `image` is only its MIME type
+ * @property {string} response - the reply text
+ * @property {string} recordedAt
+ */
+
+/**
+ * Identifies a request by what the model was asked: system prompt, messages,
+ * attached image and whether JSON was wanted. Provider, model and sampling
+ * settings are left out so a recording replays whichever provider made it.
+ * @param {{system?: string, messages: Array, image?: {data: string}, json?: boolean}} request
+ * @returns {Promise<string>}
+ */
+export const fingerprintRequest = ({ system, messages, image, json }) => hashContent(JSON.stringify({
+  system: system || '',
+  messages: messages.map(({ role, content }) => ({ role, content })),
+  image: image?.data || null,
+  json: Boolean(json),
+}));
+
+const loadRecorded = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+let recorded = null;
+
+/**
+ * Adds a request and its reply to the recording. A later reply to the same
+ * request replaces the earlier one.
+ * @param {string} fingerprint - from fingerprintRequest
+ * @param {Omit<FixtureEntry, 'recordedAt'>} entry
+ */
+export const recordFixture = (fingerprint, entry) => {
+  recorded = { ...(recorded || loadRecorded()), [fingerprint]: { ...entry, recordedAt: new Date().toISOString() } };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(recorded));
+  } catch (error) {
+    console.warn('fixtureService: could not save the recording', error);
+  }
+};
+
+/**
+ * The recording so far as a fixture document, ready to save as a file.
+ * @returns {{format: string, version: number, createdAt: string, responses: Object<string, FixtureEntry>}}
+ */
+export const getRecordedFixtures = () => ({
+  format: FIXTURE_FORMAT,
+  version: FIXTURE_VERSION,
+  createdAt: new Date().toISOString(),
+  responses: recorded || loadRecorded(),
+});
+
+/** Discards the recording. */
+export const clearRecordedFixtures = () => {
+  recorded = {};
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Reads and checks a fixture file for the replay provider.
+ * @param {File} file
+ * @returns {Promise<{format: string, version: number, responses: Object<string, FixtureEntry>}>}
+ */
+export const readFixtureFile = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  if (data?.format !== FIXTURE_FORMAT || typeof data.responses !== 'object' || !data.responses) {
+    throw new Error(`${file.name} is not a fixture file`);
+  }
+  if (data.version > FIXTURE_VERSION) {
+    throw new Error(`${file.name} was recorded by a newer version (v${data.version}); please update the app`);
+  }
+  return data;
+};
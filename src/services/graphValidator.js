@@ -0,0 +1,285 @@
+/**
+ * Graph Validator
+ * Checks graphs that come from outside the app (AI output, project files)
+ * against a schema and repairs what it can, so React Flow and InfoPanel always
+ * receive well-formed nodes and edges. Every repair is reported back.
+ */
+
+import { GROUP_NODE_TYPE } from './groupService';
+import { inferNodeType } from './mermaidParser';
+
+export const NODE_TYPES = ['clientNode', 'serverNode', 'databaseNode', 'loadBalancerNode', 'cacheNode', GROUP_NODE_TYPE];
+
+const DIRECTIONS = ['TD', 'TB', 'BT', 'LR', 'RL'];
+
+/**
+ * Field schema for graph records. Each field declares its `type`, an optional
+ * `default` (used when the value is missing or cannot be coerced) and, for
+ * strings, an optional `enum`. `fields` describes nested objects.
+ * Cross-record rules (unique ids, edge endpoints, parents) live in validateGraph.
+ */
+export const GRAPH_SCHEMA = {
+  node: {
+    id: { type: 'string', required: true },
+    type: { type: 'string', enum: NODE_TYPES, default: 'serverNode' },
+    position: {
+      type: 'object',
+      fields: {
+        x: { type: 'number', default: 0 },
+        y: { type: 'number', default: 0 },
+      },
+    },
+    data: {
+      type: 'object',
+      fields: {
+        label: { type: 'string', default: '' },
+        description: { type: 'string', default: '' },
+        tech: { type: 'string', default: '' },
+      },
+    },
+    parentNode: { type: 'string' },
+  },
+  edge: {
+    id: { type: 'string', required: true },
+    source: { type: 'string', required: true },
+    target: { type: 'string', required: true },
+    label: { type: 'string' },
+    animated: { type: 'boolean', default: true },
+  },
+};
+
+/**
+ * Validates and repairs a graph.
+ * @param {*} graph - candidate `{nodes, edges, direction}`
+ * @returns {{graph: {nodes: Array, edges: Array, direction: string}, issues: string[]}}
+ *   the repaired graph and a human-readable list of what was changed
+ */
+export const validateGraph = (graph) => {
+  const issues = [];
+  const rawNodes = Array.isArray(graph?.nodes) ? graph.nodes : [];
+  const rawEdges = Array.isArray(graph?.edges) ? graph.edges : [];
+  if (!Array.isArray(graph?.nodes)) issues.push('Graph had no node list; started from an empty graph');
+  if (graph?.edges !== undefined && !Array.isArray(graph.edges)) issues.push('Edge list was not an array and was ignored');
+
+  const nodes = repairNodes(rawNodes, issues);
+  const edges = repairEdges(rawEdges, new Set(nodes.map((node) => node.id)), issues);
+
+  const direction = DIRECTIONS.includes(graph?.direction) ? graph.direction : 'TD';
+  if (graph?.direction !== undefined && direction !== graph.direction) {
+    issues.push(`Unknown layout direction "${graph.direction}" replaced with TD`);
+  }
+
+  return { graph: { ...graph, nodes, edges, direction }, issues };
+};
+
+const repairNodes = (rawNodes, issues) => {
+  const seen = new Set();
+  const nodes = [];
+
+  rawNodes.forEach((raw, index) => {
+    if (!isPlainObject(raw)) {
+      issues.push(`Dropped node #${index + 1}: not an object`);
+      return;
+    }
+
+    const name = describe(raw.id, `#${index + 1}`);
+    // Near-misses like "database" map onto a known type before the enum check
+    const type = NODE_TYPES.includes(raw.type) ? raw.type : coerceNodeType(raw.type, [raw.data?.label, raw.id].find((value) => typeof value === 'string') || '');
+    const node = applyRepairs(raw, repairFields({ ...raw, type }, GRAPH_SCHEMA.node, `Node ${name}`, issues));
+
+    if (!node.id) {
+      node.id = uniqueId(`node-${index + 1}`, seen);
+      issues.push(`Node #${index + 1} had no id; assigned "${node.id}"`);
+    } else if (seen.has(node.id)) {
+      const original = node.id;
+      node.id = uniqueId(original, seen);
+      issues.push(`Duplicate node id "${original}" renamed to "${node.id}"`);
+    }
+    seen.add(node.id);
+
+    if (!node.data.label) {
+      node.data.label = node.id;
+    }
+
+    if (!NODE_TYPES.includes(raw.type)) {
+      issues.push(raw.type === undefined
+        ? `Node "${node.id}" had no type; using ${node.type}`
+        : `Node "${node.id}": unknown type "${raw.type}" changed to ${node.type}`);
+    }
+
+    nodes.push(node);
+  });
+
+  return repairParents(nodes, issues);
+};
+
+/**
+ * Parents must exist, be groups and not contain themselves, and must come
+ * before their children; otherwise React Flow throws or recurses forever.
+ */
+const repairParents = (nodes, issues) => {
+  const groups = new Map(nodes.filter((node) => node.type === GROUP_NODE_TYPE).map((node) => [node.id, node]));
+  const moveToTop = (node, reason) => {
+    issues.push(`Node "${node.id}": ${reason}; moved to the top level`);
+    delete node.parentNode;
+    delete node.extent;
+  };
+
+  for (const node of nodes) {
+    if (node.parentNode === undefined) continue;
+    if (node.parentNode === node.id) {
+      moveToTop(node, 'it was its own parent');
+    } else if (!groups.has(node.parentNode)) {
+      moveToTop(node, `parent "${node.parentNode}" is not a group`);
+    }
+  }
+
+  // Walking up from a group in a cycle comes back round to it; the cycle is
+  // broken at the first of its groups in the list
+  for (const group of groups.values()) {
+    const visited = new Set([group.id]);
+    for (let parent = groups.get(group.parentNode); parent; parent = groups.get(parent.parentNode)) {
+      if (parent.id === group.id) {
+        moveToTop(group, `parent "${group.parentNode}" is inside it`);
+        break;
+      }
+      // A cycle further up, broken when its own groups come round
+      if (visited.has(parent.id)) break;
+      visited.add(parent.id);
+    }
+  }
+
+  const ordered = [];
+  const placed = new Set();
+  const place = (node) => {
+    if (placed.has(node.id)) return;
+    placed.add(node.id);
+    if (node.parentNode !== undefined) place(groups.get(node.parentNode));
+    ordered.push(node);
+  };
+  nodes.forEach(place);
+  return ordered;
+};
+
+const repairEdges = (rawEdges, nodeIds, issues) => {
+  const seen = new Set();
+  const edges = [];
+
+  rawEdges.forEach((raw, index) => {
+    if (!isPlainObject(raw)) {
+      issues.push(`Dropped edge #${index + 1}: not an object`);
+      return;
+    }
+
+    const name = describe(raw.id, `#${index + 1}`);
+    const edge = applyRepairs(raw, repairFields(raw, GRAPH_SCHEMA.edge, `Edge ${name}`, issues));
+
+    const missing = ['source', 'target'].filter((end) => !nodeIds.has(edge[end]));
+    if (missing.length) {
+      const ends = missing.map((end) => `${end} "${edge[end] ?? ''}"`).join(' and ');
+      issues.push(`Dropped edge ${name}: ${ends} does not exist`);
+      return;
+    }
+
+    if (!edge.id || seen.has(edge.id)) {
+      const original = edge.id;
+      edge.id = uniqueId(original || `e-${edge.source}-${edge.target}`, seen);
+      if (original) issues.push(`Duplicate edge id "${original}" renamed to "${edge.id}"`);
+    }
+    seen.add(edge.id);
+
+    edges.push(edge);
+  });
+
+  return edges;
+};
+
+/**
+ * Coerces the fields of one record to the schema, recording what changed.
+ * Missing optional fields without a default are left out; invalid values
+ * without a default come back as `undefined`, so applyRepairs removes them.
+ */
+const repairFields = (record, schema, name, issues) => {
+  const result = {};
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = record[key];
+
+    if (spec.type === 'object') {
+      if (value !== undefined && !isPlainObject(value)) {
+        issues.push(`${name}: ${key} was not an object and was reset`);
+      }
+      // Keep any extra nested fields the schema does not describe
+      const fields = repairFields(isPlainObject(value) ? value : {}, spec.fields, name, issues);
+      result[key] = isPlainObject(value) ? applyRepairs(value, fields) : fields;
+      continue;
+    }
+
+    if (value === undefined || value === null) {
+      if (spec.default !== undefined) result[key] = spec.default;
+      continue;
+    }
+
+    const coerced = coerce(value, spec.type);
+    if (coerced === undefined || (spec.enum && !spec.enum.includes(coerced))) {
+      issues.push(`${name}: invalid ${key} ${JSON.stringify(value)} was ${spec.default !== undefined ? 'reset' : 'removed'}`);
+      result[key] = spec.default;
+      continue;
+    }
+    result[key] = coerced;
+  }
+
+  return result;
+};
+
+// Overlays repaired fields on the original record, dropping removed ones
+const applyRepairs = (record, repaired) => {
+  const result = { ...record, ...repaired };
+  for (const [key, value] of Object.entries(repaired)) {
+    if (value === undefined) delete result[key];
+  }
+  return result;
+};
+
+const coerce = (value, type) => {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number') return String(value);
+      // Models often return tech stacks as arrays
+      if (Array.isArray(value) && value.every((item) => typeof item === 'string')) return value.join(', ');
+      return undefined;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    default:
+      return value;
+  }
+};
+
+// Maps near-misses like "database" or "LoadBalancer" onto known node types
+const coerceNodeType = (type, label) => {
+  if (typeof type === 'string') {
+    const wanted = type.toLowerCase().replace(/[\s_-]/g, '').replace(/node$/, '');
+    const match = NODE_TYPES.find((known) => known.toLowerCase().replace(/node$/, '') === wanted);
+    if (match) return match;
+  }
+  return inferNodeType(null, `${type || ''} ${label}`);
+};
+
+const uniqueId = (base, used) => {
+  let id = base;
+  for (let i = 2; used.has(id); i++) {
+    id = `${base}-${i}`;
+  }
+  return id;
+};
+
+const describe = (id, fallback) => (typeof id === 'string' || typeof id === 'number' ? `"${id}"` : fallback);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { validateGraph } from './graphValidator';
+
+const group = (id, parentNode) => ({ id, type: 'group', data: { label: id }, ...(parentNode && { parentNode }) });
+
+describe('validateGraph', () => {
+  it('replaces required values that cannot be coerced', () => {
+    const { graph, issues } = validateGraph({
+      nodes: [{ id: { name: 'api' }, type: 'serverNode' }, { id: 'db', type: 'databaseNode' }],
+      edges: [{ id: 'e1', source: { id: 'db' }, target: 'db' }],
+    });
+    expect(graph.nodes.map((node) => node.id)).toEqual(['node-1', 'db']);
+    expect(graph.edges).toEqual([]);
+    expect(issues).toContain('Node #1: invalid id {"name":"api"} was removed');
+  });
+
+  it('removes invalid optional values', () => {
+    const { graph } = validateGraph({ nodes: [{ id: 'a', type: 'serverNode', parentNode: {} }] });
+    expect(graph.nodes[0]).not.toHaveProperty('parentNode');
+  });
+
+  it('maps near-miss types and enforces the type enum', () => {
+    const { graph, issues } = validateGraph({ nodes: [{ id: 'a', type: 'Database' }, { id: 'b', type: 'queue' }] });
+    expect(graph.nodes.map((node) => node.type)).toEqual(['databaseNode', 'serverNode']);
+    expect(issues).toContain('Node "b": unknown type "queue" changed to serverNode');
+  });
+
+  it('moves self-parented and cyclic groups to the top level', () => {
+    const { graph } = validateGraph({
+      nodes: [group('self', 'self'), group('a', 'b'), group('b', 'a'), group('c', 'd'), group('d', 'e'), group('e', 'd')],
+    });
+    const parents = Object.fromEntries(graph.nodes.map((node) => [node.id, node.parentNode]));
+    expect(parents).toEqual({ self: undefined, a: undefined, b: 'a', c: 'd', d: undefined, e: 'd' });
+  });
+
+  it('puts parents before their children', () => {
+    const { graph } = validateGraph({
+      nodes: [{ id: 'api', type: 'serverNode', parentNode: 'inner' }, group('inner', 'outer'), group('outer')],
+    });
+    expect(graph.nodes.map((node) => node.id)).toEqual(['outer', 'inner', 'api']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Group Service
+ * Helpers for group (container) nodes built from Mermaid subgraphs:
+ * hierarchy lookups, collapsing and edge re-routing for collapsed groups.
+ */
+
+export const GROUP_NODE_TYPE = 'groupNode';
+
+export const COLLAPSED_GROUP_SIZE = { width: 220, height: 56 };
+
+export const isGroupNode = (node) => node?.type === GROUP_NODE_TYPE;
+
+/**
+ * Ids of every node nested (at any depth) inside a group.
+ * @param {Array} nodes
+ * @param {string} groupId
+ * @returns {Set<string>}
+ */
+export const getDescendantIds = (nodes, groupId) => {
+  const descendants = new Set();
+  let frontier = [groupId];
+
+  while (frontier.length) {
+    const parents = new Set(frontier);
+    frontier = nodes
+      .filter((node) => parents.has(node.parentNode) && !descendants.has(node.id))
+      .map((node) => node.id);
+    frontier.forEach((id) => descendants.add(id));
+  }
+
+  return descendants;
+};
+
+/**
+ * Collapses or expands a group. Collapsing hides all descendants and shrinks the
+ * group; expanding restores its size and reveals children that are not inside
+ * another collapsed group.
+ * @param {Array} nodes
+ * @param {string} groupId
+ * @returns {Array} updated nodes
+ */
+export const toggleGroupCollapsed = (nodes, groupId) => {
+  const group = nodes.find((node) => node.id === groupId);
+  if (!isGroupNode(group)) return nodes;
+
+  const collapsing = !group.data?.collapsed;
+  const descendants = getDescendantIds(nodes, groupId);
+
+  const updated = nodes.map((node) => {
+    if (node.id === groupId) {
+      const expandedSize = collapsing
+        ? { width: node.style?.width, height: node.style?.height }
+        : node.data.expandedSize;
+      return {
+        ...node,
+        data: { ...node.data, collapsed: collapsing, expandedSize },
+        style: { ...node.style, ...(collapsing ? COLLAPSED_GROUP_SIZE : expandedSize) },
+      };
+    }
+    return node;
+  });
+
+  const byId = new Map(updated.map((node) => [node.id, node]));
+  return updated.map((node) => {
+    if (!descendants.has(node.id)) return node;
+    return { ...node, hidden: collapsing || hasCollapsedAncestor(byId, node) };
+  });
+};
+
+/**
+ * Re-points edges whose endpoints are hidden inside collapsed groups at the
+ * outermost collapsed group, so connections stay visible. Edges that end up
+ * inside a single collapsed group are hidden.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {Array} edges for display
+ */
+export const resolveCollapsedEdges = (nodes, edges) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  if (!nodes.some((node) => isGroupNode(node) && node.data?.collapsed)) return edges;
+
+  return edges.map((edge) => {
+    const source = visibleEndpoint(byId, edge.source);
+    const target = visibleEndpoint(byId, edge.target);
+    if (source === edge.source && target === edge.target) return edge;
+    return { ...edge, source, target, hidden: edge.hidden || source === target };
+  });
+};
+
+const hasCollapsedAncestor = (byId, node) => {
+  let parent = byId.get(node.parentNode);
+  while (parent) {
+    if (parent.data?.collapsed) return true;
+    parent = byId.get(parent.parentNode);
+  }
+  return false;
+};
+
+// Outermost collapsed ancestor of a node, or the node itself
+const visibleEndpoint = (byId, id) => {
+  let visible = id;
+  let parent = byId.get(byId.get(id)?.parentNode);
+  while (parent) {
+    if (parent.data?.collapsed) visible = parent.id;
+    parent = byId.get(parent.parentNode);
+  }
+  return visible;
+};
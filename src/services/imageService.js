@@ -0,0 +1,267 @@
+/**
+ * Image Service
+ * Prepares uploaded images for analysis: converts formats vision APIs do not
+ * take (HEIC, WebP) to PNG, rotates, straightens and crops to the diagram,
+ * boosts contrast in photos, and downscales so large photos do not waste
+ * tokens or exceed provider size limits.
+ */
+
+// Longest side sent to the model; larger images cost more without reading better
+export const DEFAULT_IMAGE_MAX_SIZE = 2048;
+// Choices offered in Settings and the preview; 0 keeps the original size
+export const IMAGE_SIZE_OPTIONS = [1024, 1536, 2048, 3072, 0];
+// Formats every supported provider accepts as-is
+const PASSTHROUGH_TYPES = ['image/png', 'image/jpeg'];
+// Fine rotation range searched when straightening a photo, in degrees
+const MAX_SKEW = 15;
+
+/**
+ * @typedef {Object} ImageEdits
+ * @property {number} [rotation] - quarter turns clockwise, 0-3
+ * @property {number} [skew] - extra rotation in degrees, to straighten photos
+ * @property {{x: number, y: number, width: number, height: number}|null} [crop] -
+ *   region of the rotated image, as fractions of its width and height
+ * @property {boolean} [enhance] - stretch contrast, for photos of whiteboards and paper
+ * @property {number} [maxSize] - longest side of the result in pixels; 0 keeps the size
+ */
+
+export const isHeicFile = (file) => /^image\/hei[cf]/.test(file?.type || '') || /\.hei[cf]$/i.test(file?.name || '');
+
+/**
+ * Decodes an image file. HEIC is converted first, as only Safari reads it.
+ * @param {File} file
+ * @returns {Promise<ImageBitmap>}
+ */
+export const decodeImage = async (file) => {
+  let source = file;
+  if (isHeicFile(file)) {
+    // Large (~1 MB) and rarely needed, so loaded on first use
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/png' });
+    source = Array.isArray(converted) ? converted[0] : converted;
+  }
+  try {
+    return await createImageBitmap(source, { imageOrientation: 'from-image' });
+  } catch {
+    throw new Error(`${file.name || 'The file'} could not be read as an image`);
+  }
+};
+
+// Size of the image after rotating by `degrees`, including the corners a fine rotation adds
+const rotatedSize = (width, height, degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  return { width: width * cos + height * sin, height: width * sin + height * cos };
+};
+
+/**
+ * Pixel size of the result of `renderImage`, without rendering it.
+ * @param {{width: number, height: number}} image
+ * @param {ImageEdits} edits
+ * @returns {{width: number, height: number}}
+ */
+export const getOutputSize = (image, { rotation = 0, skew = 0, crop = null, maxSize = 0 } = {}) => {
+  const rotated = rotatedSize(image.width, image.height, rotation * 90 + skew);
+  const width = rotated.width * (crop?.width ?? 1);
+  const height = rotated.height * (crop?.height ?? 1);
+  const scale = maxSize > 0 ? Math.min(1, maxSize / Math.max(width, height)) : 1;
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+/**
+ * Draws an image with the edits applied.
+ * @param {ImageBitmap|HTMLCanvasElement} image
+ * @param {ImageEdits} edits
+ * @returns {HTMLCanvasElement}
+ */
+export const renderImage = (image, edits = {}) => {
+  const { rotation = 0, skew = 0, crop = null, enhance = false } = edits;
+  const degrees = rotation * 90 + skew;
+  const rotated = rotatedSize(image.width, image.height, degrees);
+  const output = getOutputSize(image, edits);
+  const scale = output.width / (rotated.width * (crop?.width ?? 1));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = output.width;
+  canvas.height = output.height;
+  const context = canvas.getContext('2d', { willReadFrequently: enhance });
+  // Corners uncovered by a fine rotation read as paper, not as dark borders
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.imageSmoothingQuality = 'high';
+  context.scale(scale, scale);
+  context.translate(-(crop?.x ?? 0) * rotated.width, -(crop?.y ?? 0) * rotated.height);
+  context.translate(rotated.width / 2, rotated.height / 2);
+  context.rotate((degrees * Math.PI) / 180);
+  context.drawImage(image, -image.width / 2, -image.height / 2);
+
+  if (enhance) {
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    stretchContrast(pixels.data);
+    context.putImageData(pixels, 0, 0);
+  }
+  return canvas;
+};
+
+// Maps the 1st-99th brightness percentiles to black and white, which turns a
+// grey, unevenly lit photo of a whiteboard into dark strokes on white
+const stretchContrast = (data) => {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < data.length; i += 4) {
+    histogram[luminance(data, i)]++;
+  }
+  const total = data.length / 4;
+  const percentile = (fraction) => {
+    let count = 0;
+    for (let value = 0; value < 256; value++) {
+      count += histogram[value];
+      if (count >= total * fraction) return value;
+    }
+    return 255;
+  };
+  const low = percentile(0.01);
+  const high = percentile(0.99);
+  // Nearly flat images (blank pages) would only gain noise
+  if (high - low < 16) return;
+
+  const lookup = new Uint8ClampedArray(256);
+  for (let value = 0; value < 256; value++) {
+    lookup[value] = ((value - low) * 255) / (high - low);
+  }
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lookup[data[i]];
+    data[i + 1] = lookup[data[i + 1]];
+    data[i + 2] = lookup[data[i + 2]];
+  }
+};
+
+const luminance = (data, i) => Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+
+/**
+ * Estimates the fine rotation that straightens a photo: the angle at which
+ * its dark strokes line up into the fewest, densest rows.
+ * @param {ImageBitmap} image
+ * @param {number} [rotation] - quarter turns already applied, see ImageEdits
+ * @returns {number} degrees to pass as `skew`, within ±MAX_SKEW
+ */
+export const estimateSkew = (image, rotation = 0) => {
+  // A small copy is plenty to find the angle and keeps this instant
+  const sample = renderImage(image, { rotation, maxSize: 600 });
+  const { data, width, height } = sample.getContext('2d').getImageData(0, 0, sample.width, sample.height);
+
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) sum += luminance(data, i);
+  const threshold = (sum / (width * height)) * 0.75;
+  const points = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (luminance(data, (y * width + x) * 4) < threshold) points.push(x - width / 2, y - height / 2);
+    }
+  }
+  if (points.length < 100) return 0;
+
+  return findSkew(points, Math.hypot(width, height));
+};
+
+/**
+ * Angle in degrees, in 0.5° steps, that makes the points' horizontal
+ * projection the most peaked (highest sum of squared row counts).
+ * @param {number[]} points - flat [x0, y0, x1, y1, ...] around the center
+ * @param {number} diagonal - longest possible distance across the points
+ * @returns {number}
+ */
+const findSkew = (points, diagonal) => {
+  const rows = new Float64Array(Math.ceil(diagonal) + 1);
+  const offset = diagonal / 2;
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += 0.5) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    rows.fill(0);
+    for (let i = 0; i < points.length; i += 2) {
+      rows[Math.round(points[i] * sin + points[i + 1] * cos + offset)]++;
+    }
+    let score = 0;
+    for (const count of rows) score += count * count;
+    // Ties (e.g. no clear lines) keep the smallest correction
+    if (score > best.score || (score === best.score && Math.abs(angle) < Math.abs(best.angle))) {
+      best = { angle, score };
+    }
+  }
+  return best.angle;
+};
+
+const hasEdits = ({ rotation = 0, skew = 0, crop = null, enhance = false }) => rotation % 4 !== 0 || skew !== 0 || Boolean(crop) || enhance;
+
+/**
+ * Applies the edits and returns a PNG ready for analysis. PNG and JPEG files
+ * that need no change are returned as they are, so their cached analyses
+ * still match.
+ * @param {File} file
+ * @param {ImageEdits} [edits]
+ * @param {ImageBitmap} [decoded] - the file already decoded; left open for the caller
+ * @returns {Promise<File>}
+ */
+export const preprocessImage = async (file, edits = {}, decoded = null) => {
+  const image = decoded || (await decodeImage(file));
+  try {
+    const output = getOutputSize(image, edits);
+    const resized = output.width !== image.width || output.height !== image.height;
+    if (PASSTHROUGH_TYPES.includes(file.type) && !hasEdits(edits) && !resized) {
+      return file;
+    }
+
+    const canvas = renderImage(image, edits);
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((result) => (result ? resolve(result) : reject(new Error('Could not encode the image'))), 'image/png');
+    });
+    const baseName = (file.name || 'image').replace(/\.[^.]+$/, '');
+    return new File([blob], `${baseName}.png`, { type: 'image/png' });
+  } finally {
+    if (!decoded) image.close();
+  }
+};
+
+/**
+ * Finds an image link in pasted or dropped text: an http(s) URL or a data
+ * URI. Dropped links may come as a text/uri-list with comment lines.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export const findImageUrl = (text) => {
+  const value = text.split(/\r?\n/).map((line) => line.trim()).find((line) => line && !line.startsWith('#'));
+  if (!value) return null;
+  return /^data:image\/[\w.+-]+(;[\w=-]+)*;base64,/i.test(value) || /^https?:\/\/\S+$/i.test(value) ? value : null;
+};
+
+/**
+ * Downloads an image link as a file. Other sites must allow the request
+ * (CORS); many image hosts do, most web pages do not.
+ * @param {string} url - http(s) URL or data URI
+ * @returns {Promise<File>}
+ */
+export const fetchImageFile = async (url) => {
+  const isDataUri = url.startsWith('data:');
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    throw new Error('Could not download the image. The site may not allow it; save the image and upload the file instead.');
+  }
+  if (!response.ok) {
+    throw new Error(`Could not download the image (HTTP ${response.status})`);
+  }
+
+  const blob = await response.blob();
+  const name = isDataUri
+    ? 'pasted-image'
+    : new URL(url).pathname.split('/').pop() || 'image';
+  const file = new File([blob], name, { type: blob.type });
+  if (!blob.type.startsWith('image/') && !isHeicFile(file)) {
+    throw new Error('The link does not point to an image');
+  }
+  return file;
+};
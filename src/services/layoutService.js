@@ -0,0 +1,438 @@
+/**
+ * Layout Service
+ * Layered (Sugiyama-style) auto-layout for React Flow graphs: cycle removal,
+ * rank assignment with tier hints, barycentric crossing reduction and
+ * coordinate assignment. Group nodes are laid out recursively, inside out.
+ */
+
+import { COLLAPSED_GROUP_SIZE, isGroupNode } from './groupService';
+
+// Rough footprint of the custom nodes in CustomNodes.jsx
+const NODE_SIZE = { width: 220, height: 80 };
+const VIRTUAL_SIZE = { width: 20, height: 20 };
+
+// Gaps between layers and between neighbours within a layer
+const SPACING = {
+  vertical: { layer: 70, sibling: 60 },
+  horizontal: { layer: 100, sibling: 40 },
+};
+
+// Room around a group's children, plus its title bar
+const GROUP_PADDING = 30;
+const GROUP_HEADER = 40;
+const EMPTY_GROUP_SIZE = { width: 220, height: 120 };
+
+// Architectural tiers: client → load balancer → services → data
+const TYPE_TIERS = {
+  clientNode: 0,
+  loadBalancerNode: 1,
+  serverNode: 2,
+  cacheNode: 3,
+  databaseNode: 3,
+};
+
+const DATA_TIER = 3;
+const CROSSING_SWEEPS = 8;
+
+/**
+ * Computes positions for every node of a graph. Children of group nodes get
+ * positions relative to their group, and groups are sized to fit them.
+ * @param {{nodes: Array, edges: Array}} graph
+ * @param {{direction?: string}} options - TD (default), LR, BT or RL
+ * @returns {{nodes: Array, edges: Array, direction: string}} the graph with new positions
+ */
+export const layoutGraph = ({ nodes, edges, ...rest }, { direction = 'TD' } = {}) => {
+  if (!nodes.length) return { ...rest, nodes, edges, direction };
+
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const members = new Map();
+  for (const node of nodes) {
+    const scope = byId.has(node.parentNode) ? node.parentNode : null;
+    if (!members.has(scope)) members.set(scope, []);
+    members.get(scope).push(node);
+  }
+
+  const tiers = computeTiers(nodes, members);
+  const positions = new Map();
+  const groupSizes = new Map();
+
+  const layoutScope = (scope) => {
+    const scopeNodes = members.get(scope) || [];
+    const sizes = new Map();
+
+    for (const node of scopeNodes) {
+      if (!isGroupNode(node)) {
+        // Nodes imported from draw.io keep their original size
+        sizes.set(node.id, node.style?.width && node.style?.height ? { width: node.style.width, height: node.style.height } : NODE_SIZE);
+      } else if (node.data?.collapsed) {
+        // Children keep their positions for when the group is expanded again
+        sizes.set(node.id, COLLAPSED_GROUP_SIZE);
+      } else {
+        const inner = layoutScope(node.id);
+        const size = inner
+          ? { width: inner.width + GROUP_PADDING * 2, height: inner.height + GROUP_PADDING * 2 + GROUP_HEADER }
+          : EMPTY_GROUP_SIZE;
+        sizes.set(node.id, size);
+        groupSizes.set(node.id, size);
+      }
+    }
+
+    if (!scopeNodes.length) return null;
+
+    const scopeIds = new Set(scopeNodes.map((node) => node.id));
+    const links = liftLinks(edges, byId, scopeIds);
+    const scopeTiers = new Map(scopeNodes.map((node) => [node.id, tiers.get(node.id)]));
+
+    const acyclic = removeCycles(scopeNodes, links, scopeTiers);
+    const ranks = assignRanks(scopeNodes, acyclic, scopeTiers);
+    const layers = buildLayers(scopeNodes, acyclic, ranks, sizes);
+
+    reduceCrossings(layers);
+
+    const placed = assignCoordinates(layers, direction);
+    const inset = scope === null ? { x: 0, y: 0 } : { x: GROUP_PADDING, y: GROUP_PADDING + GROUP_HEADER };
+    for (const [id, position] of placed.positions) {
+      positions.set(id, { x: position.x + inset.x, y: position.y + inset.y });
+    }
+    return placed.bounds;
+  };
+
+  layoutScope(null);
+
+  const laidOut = nodes.map((node) => {
+    const position = positions.get(node.id);
+    if (!position) return node;
+
+    const next = { ...node, position, ...handlePositions(direction) };
+    if (groupSizes.has(node.id)) {
+      next.style = { ...node.style, ...groupSizes.get(node.id) };
+    }
+    return next;
+  });
+
+  return { ...rest, nodes: laidOut, edges, direction };
+};
+
+/**
+ * Maps each edge onto the members of one scope: an endpoint nested inside a
+ * member group is replaced by that group. Edges outside the scope are dropped.
+ */
+const liftLinks = (edges, byId, scopeIds) => {
+  const lift = (id) => {
+    let current = byId.get(id);
+    while (current && !scopeIds.has(current.id)) {
+      current = byId.get(current.parentNode);
+    }
+    return current?.id;
+  };
+
+  const seen = new Set();
+  const links = [];
+  for (const edge of edges) {
+    const source = lift(edge.source);
+    const target = lift(edge.target);
+    const key = `${source}->${target}`;
+    if (!source || !target || source === target || seen.has(key)) continue;
+    seen.add(key);
+    links.push({ source, target });
+  }
+  return links;
+};
+
+// A group sits at the tier of its highest-tier (closest to client) member
+const computeTiers = (nodes, members) => {
+  const tiers = new Map();
+  const tierOf = (node) => {
+    if (tiers.has(node.id)) return tiers.get(node.id);
+    let tier = TYPE_TIERS[node.type] ?? TYPE_TIERS.serverNode;
+    if (isGroupNode(node)) {
+      const children = members.get(node.id) || [];
+      tier = children.length ? Math.min(...children.map(tierOf)) : TYPE_TIERS.serverNode;
+    }
+    tiers.set(node.id, tier);
+    return tier;
+  };
+  nodes.forEach(tierOf);
+  return tiers;
+};
+
+// Handle sides for the custom nodes so edges flow with the layout
+const handlePositions = (direction) => {
+  switch (direction) {
+    case 'LR': return { targetPosition: 'left', sourcePosition: 'right' };
+    case 'RL': return { targetPosition: 'right', sourcePosition: 'left' };
+    case 'BT': return { targetPosition: 'bottom', sourcePosition: 'top' };
+    default: return { targetPosition: 'top', sourcePosition: 'bottom' };
+  }
+};
+
+/**
+ * Reverses back edges found by DFS so the graph becomes a DAG.
+ * Roots are visited tier first, so client → data reads top-down even in cycles.
+ */
+const removeCycles = (nodes, links, tiers) => {
+  const outgoing = adjacency(nodes, links, 'source');
+  const state = new Map();
+  const backEdges = new Set();
+
+  const order = [...nodes].sort((a, b) => tiers.get(a.id) - tiers.get(b.id));
+
+  const visit = (start) => {
+    const stack = [[start, 0]];
+    state.set(start, 'active');
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const [id, index] = frame;
+      const next = outgoing.get(id)[index];
+      if (next === undefined) {
+        state.set(id, 'done');
+        stack.pop();
+        continue;
+      }
+      frame[1]++;
+      if (state.get(next.target) === 'active') {
+        backEdges.add(next);
+      } else if (!state.has(next.target)) {
+        state.set(next.target, 'active');
+        stack.push([next.target, 0]);
+      }
+    }
+  };
+
+  for (const node of order) {
+    if (!state.has(node.id)) visit(node.id);
+  }
+
+  return links.map((link) => (backEdges.has(link)
+    ? { source: link.target, target: link.source }
+    : link));
+};
+
+/**
+ * Longest-path ranking. Root nodes start at their tier hint (within the tiers
+ * present in the graph) and data stores without dependants sink to the bottom.
+ */
+const assignRanks = (nodes, links, tiers) => {
+  const incoming = adjacency(nodes, links, 'target');
+  const outgoing = adjacency(nodes, links, 'source');
+  const presentTiers = [...new Set(tiers.values())].sort((a, b) => a - b);
+  const tierRank = new Map(presentTiers.map((tier, index) => [tier, index]));
+
+  const ranks = new Map();
+  const pending = new Map(nodes.map((node) => [node.id, incoming.get(node.id).length]));
+  const queue = [];
+
+  for (const node of nodes) {
+    if (pending.get(node.id) === 0) {
+      ranks.set(node.id, tierRank.get(tiers.get(node.id)));
+      queue.push(node.id);
+    }
+  }
+
+  while (queue.length) {
+    const id = queue.shift();
+    for (const { target } of outgoing.get(id)) {
+      ranks.set(target, Math.max(ranks.get(target) ?? 0, ranks.get(id) + 1));
+      pending.set(target, pending.get(target) - 1);
+      if (pending.get(target) === 0) queue.push(target);
+    }
+  }
+
+  // Pull every node as close to its successors as possible, so a root with a
+  // single consumer three layers down doesn't leave a long dangling edge
+  const maxRank = Math.max(...ranks.values());
+  const reverseOrder = [...ranks.keys()].sort((a, b) => ranks.get(b) - ranks.get(a));
+
+  for (const id of reverseOrder) {
+    const successors = outgoing.get(id);
+    if (successors.length) {
+      const tightest = Math.min(...successors.map(({ target }) => ranks.get(target))) - 1;
+      if (incoming.get(id).length === 0) ranks.set(id, Math.max(ranks.get(id), tightest));
+    } else if (tiers.get(id) === DATA_TIER && incoming.get(id).length) {
+      ranks.set(id, maxRank);
+    }
+  }
+
+  return ranks;
+};
+
+/**
+ * Groups nodes by rank, inserting virtual nodes on edges that span several
+ * layers so crossing reduction can route them.
+ */
+const buildLayers = (nodes, links, ranks, sizes) => {
+  const layerCount = Math.max(...ranks.values()) + 1;
+  const layers = Array.from({ length: layerCount }, () => []);
+  const entries = new Map();
+
+  const addEntry = (id, rank, virtual) => {
+    const size = virtual ? VIRTUAL_SIZE : sizes.get(id);
+    const entry = { id, rank, virtual, size, up: [], down: [], order: layers[rank].length };
+    layers[rank].push(entry);
+    entries.set(id, entry);
+    return entry;
+  };
+
+  for (const node of nodes) {
+    addEntry(node.id, ranks.get(node.id), false);
+  }
+
+  links.forEach((link, index) => {
+    let previous = entries.get(link.source);
+    const target = entries.get(link.target);
+    for (let rank = previous.rank + 1; rank < target.rank; rank++) {
+      const virtual = addEntry(`__virtual_${index}_${rank}`, rank, true);
+      previous.down.push(virtual);
+      virtual.up.push(previous);
+      previous = virtual;
+    }
+    previous.down.push(target);
+    target.up.push(previous);
+  });
+
+  return layers;
+};
+
+/**
+ * Barycenter heuristic, alternating downward and upward sweeps and keeping
+ * the ordering with the fewest crossings.
+ */
+const reduceCrossings = (layers) => {
+  let best = snapshot(layers);
+  let bestCrossings = countCrossings(layers);
+
+  for (let sweep = 0; sweep < CROSSING_SWEEPS && bestCrossings > 0; sweep++) {
+    if (sweep % 2 === 0) {
+      for (let i = 1; i < layers.length; i++) reorder(layers[i], 'up');
+    } else {
+      for (let i = layers.length - 2; i >= 0; i--) reorder(layers[i], 'down');
+    }
+
+    const crossings = countCrossings(layers);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = snapshot(layers);
+    }
+  }
+
+  layers.forEach((layer, i) => {
+    layer.sort((a, b) => best[i].get(a.id) - best[i].get(b.id));
+    layer.forEach((entry, order) => { entry.order = order; });
+  });
+};
+
+const reorder = (layer, side) => {
+  const barycenter = new Map(layer.map((entry) => {
+    const neighbours = entry[side];
+    if (!neighbours.length) return [entry.id, entry.order];
+    return [entry.id, neighbours.reduce((sum, n) => sum + n.order, 0) / neighbours.length];
+  }));
+
+  layer.sort((a, b) => barycenter.get(a.id) - barycenter.get(b.id) || a.order - b.order);
+  layer.forEach((entry, order) => { entry.order = order; });
+};
+
+const countCrossings = (layers) => {
+  let crossings = 0;
+  for (let i = 0; i < layers.length - 1; i++) {
+    const segments = layers[i].flatMap((entry) => entry.down.map((target) => [entry.order, target.order]));
+    for (let a = 0; a < segments.length; a++) {
+      for (let b = a + 1; b < segments.length; b++) {
+        const [s1, t1] = segments[a];
+        const [s2, t2] = segments[b];
+        if ((s1 - s2) * (t1 - t2) < 0) crossings++;
+      }
+    }
+  }
+  return crossings;
+};
+
+const snapshot = (layers) => layers.map((layer) => new Map(layer.map((entry) => [entry.id, entry.order])));
+
+/**
+ * Places each layer's nodes in order, nudging them towards the average
+ * position of their neighbours in the previous layer without overlapping.
+ * Returns top-left positions normalised to start at (0, 0) and the bounds.
+ */
+const assignCoordinates = (layers, direction) => {
+  const horizontal = direction === 'LR' || direction === 'RL';
+  const reversed = direction === 'BT' || direction === 'RL';
+  const spacing = horizontal ? SPACING.horizontal : SPACING.vertical;
+  const breadthOf = (entry) => (horizontal ? entry.size.height : entry.size.width);
+  const depthOf = (entry) => (horizontal ? entry.size.width : entry.size.height);
+
+  // Centre of each entry along the layer
+  const centres = new Map();
+  layers.forEach((layer) => {
+    const desired = [];
+    let cursor = 0;
+    for (const entry of layer) {
+      const placed = entry.up.filter((n) => centres.has(n.id));
+      desired.push(placed.length
+        ? placed.reduce((sum, n) => sum + centres.get(n.id), 0) / placed.length
+        : cursor + breadthOf(entry) / 2);
+      cursor += breadthOf(entry) + spacing.sibling;
+    }
+
+    // Left-to-right pass enforcing minimum spacing, then shift to stay centred on the targets
+    const resolved = [];
+    desired.forEach((centre, i) => {
+      if (i === 0) {
+        resolved.push(centre);
+        return;
+      }
+      const minimum = resolved[i - 1] + (breadthOf(layer[i - 1]) + breadthOf(layer[i])) / 2 + spacing.sibling;
+      resolved.push(Math.max(centre, minimum));
+    });
+    const drift = (resolved.reduce((a, b) => a + b, 0) - desired.reduce((a, b) => a + b, 0)) / resolved.length;
+
+    layer.forEach((entry, i) => centres.set(entry.id, resolved[i] - drift));
+  });
+
+  // Start of each layer along the flow, sized by its deepest entry
+  const layerDepths = layers.map((layer) => Math.max(0, ...layer.filter((e) => !e.virtual).map(depthOf)));
+  const layerStarts = [];
+  layerDepths.reduce((start, depth) => {
+    layerStarts.push(start);
+    return start + depth + (depth ? spacing.layer : 0);
+  }, 0);
+  const totalDepth = layerStarts[layerStarts.length - 1] + layerDepths[layerDepths.length - 1];
+
+  const raw = new Map();
+  layers.forEach((layer, index) => {
+    for (const entry of layer) {
+      if (entry.virtual) continue;
+      const along = centres.get(entry.id) - breadthOf(entry) / 2;
+      const start = layerStarts[index] + (layerDepths[index] - depthOf(entry)) / 2;
+      const depth = reversed ? totalDepth - start - depthOf(entry) : start;
+      raw.set(entry.id, {
+        position: horizontal ? { x: depth, y: along } : { x: along, y: depth },
+        size: entry.size,
+      });
+    }
+  });
+
+  const minX = Math.min(...[...raw.values()].map(({ position }) => position.x));
+  const minY = Math.min(...[...raw.values()].map(({ position }) => position.y));
+  const positions = new Map();
+  let width = 0;
+  let height = 0;
+  for (const [id, { position, size }] of raw) {
+    const x = Math.round(position.x - minX);
+    const y = Math.round(position.y - minY);
+    positions.set(id, { x, y });
+    width = Math.max(width, x + size.width);
+    height = Math.max(height, y + size.height);
+  }
+
+  return { positions, bounds: { width, height } };
+};
+
+// Groups links by their `source` or `target` end
+const adjacency = (nodes, links, key) => {
+  const map = new Map(nodes.map((node) => [node.id, []]));
+  for (const link of links) {
+    map.get(link[key]).push(link);
+  }
+  return map;
+};
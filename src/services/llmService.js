@@ -0,0 +1,297 @@
+/**
+ * LLM Service
+ * One interface for chat, vision and JSON completions across providers.
+ * Services call a client from createLLMClient and never branch on the
+ * provider themselves; provider specifics live in ./providers.
+ */
+
+import { MalformedOutputError, RequestTimeoutError } from './errors';
+import { fingerprintRequest, recordFixture } from './fixtureService';
+import { getModelInfo, getProvider } from './providers';
+import { checkBudget, recordUsage } from './usageService';
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON object only, without markdown code fences or commentary.';
+
+export const DEFAULT_REQUEST_TIMEOUT = 60; // seconds without a response before giving up
+export const DEFAULT_MAX_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 1000;
+// Longer Retry-After waits are not worth blocking the UI for
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} apiKey
+ * @property {string} model
+ * @property {string} [system] - system prompt
+ * @property {Array<{role: 'user'|'assistant', content: string}>} messages
+ * @property {{mimeType: string, data: string}} [image] - base64 image attached to the last message
+ * @property {boolean} [json] - use the provider's JSON mode; only set for models that have one
+ * @property {number} [maxTokens]
+ * @property {number} [temperature]
+ * @property {(delta: string) => void} [onToken] - stream the reply, calling this with each new piece of text
+ * @property {(usage: {inputTokens: number, outputTokens: number}) => void} [onUsage] - called with the token counts the provider reports
+ * @property {AbortSignal} [signal] - aborts the request, including a stream in progress
+ */
+
+/**
+ * Creates a client for the selected provider. With OpenAI selected (or no
+ * provider), the OpenAI key from the environment is used for development when
+ * none is set. Returns null when the provider is not configured, so callers
+ * can use their mock data; other providers never fall back to OpenAI, as
+ * their users may not be allowed to send diagrams to it.
+ * @param {Object} settings - AI settings from SettingsContext
+ * @param {string} settings.provider - provider id, e.g. 'openai', 'gemini', 'anthropic' or 'custom'
+ * @param {string} [settings.apiKey]
+ * @param {{vision?: string, chat?: string, generation?: string}} [settings.models] - model id per task
+ * @param {number} [settings.requestTimeout] - seconds to wait for a response (or the next streamed chunk)
+ * @param {number} [settings.maxRetries] - retries after rate limiting (429) or server errors (5xx)
+ * @param {Object} [settings.prices] - price overrides by provider and model for usage tracking (see usageService)
+ * @param {number} [settings.monthlyBudget] - USD; requests are refused once they could take this month's spend past it
+ * @param {boolean} [settings.recordFixtures] - save each request and reply for the replay provider
+ * @returns {{provider: Object, supportsVision: boolean, modelFor: Function, chat: Function, vision: Function, json: Function}|null}
+ */
+export const createLLMClient = (settings = {}) => {
+  const adapter = getProvider(settings.provider);
+  const connection = adapter.connect(settings);
+  if (connection) return buildClient(adapter, connection, settings);
+
+  const envKey = import.meta.env.VITE_OPENAI_API_KEY;
+  return envKey && adapter.id === 'openai' ? buildClient(adapter, { apiKey: envKey }, settings) : null;
+};
+
+/**
+ * Whether images can be analyzed with these settings. Without a configured
+ * provider the mock analysis is used, which accepts images.
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+export const supportsImageInput = (settings) => {
+  const client = createLLMClient(settings);
+  return !client || client.supportsVision;
+};
+
+/**
+ * Resolves the model for a task: the connection's own model (custom endpoints),
+ * then the user's choice if the catalog knows it, then the adapter default.
+ */
+const resolveModel = (adapter, connection, models, task) => {
+  if (connection.model) return connection.model;
+  const chosen = models?.[task];
+  return chosen && getModelInfo(adapter.id, chosen) ? chosen : adapter.defaultModels[task];
+};
+
+const buildClient = (adapter, { capabilities, ...connection }, settings) => {
+  const {
+    models,
+    requestTimeout = DEFAULT_REQUEST_TIMEOUT,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    prices,
+    monthlyBudget,
+    recordFixtures,
+  } = settings;
+  const modelFor = (task) => resolveModel(adapter, connection, models, task);
+  // Models outside the catalog are assumed to read images but lack a JSON mode
+  const capabilitiesOf = (task) => capabilities || getModelInfo(adapter.id, modelFor(task)) || { vision: true, jsonMode: false };
+  const supportsVision = capabilitiesOf('vision').vision;
+
+  // Models without a JSON mode are asked for JSON in the system prompt instead
+  const complete = async ({ task, signal, onToken, ...request }) => {
+    const model = modelFor(task);
+    const jsonMode = capabilitiesOf(task).jsonMode;
+    const sent = request.json && !jsonMode
+      ? { ...request, system: `${request.system || ''}\n\n${JSON_INSTRUCTION}`.trim(), json: false }
+      : request;
+    // Every attempt that got a response is billed, so each one is recorded
+    const onUsage = (usage) => {
+      const record = recordUsage({ provider: adapter.id, model, task, ...usage }, prices);
+      console.log(`llmService: ${usage.inputTokens} in / ${usage.outputTokens} out tokens${record.cost === null ? '' : `, $${record.cost.toFixed(4)}`}`);
+    };
+    for (let attempt = 0; ; attempt++) {
+      // Checked before every attempt, as each one is billed; replays are free
+      if (adapter.id !== 'replay') {
+        checkBudget(monthlyBudget, { ...sent, provider: adapter.id, model, prices });
+      }
+      console.log(`llmService: ${adapter.label} ${task} request (${model})${attempt ? `, retry ${attempt}` : ''}`);
+      // Once text has been shown, a retry would repeat it
+      let streamed = false;
+      try {
+        const reply = await withTimeout(requestTimeout, signal, adapter.label, (attemptSignal, keepAlive) => adapter.complete({
+          ...connection,
+          model,
+          ...sent,
+          signal: attemptSignal,
+          onUsage,
+          onToken: onToken && ((delta) => {
+            streamed = true;
+            keepAlive();
+            onToken(delta);
+          }),
+        }));
+        if (recordFixtures && adapter.id !== 'replay') await saveFixture(task, model, request, reply);
+        return reply;
+      } catch (error) {
+        const delay = retryDelay(error, attempt);
+        if (streamed || attempt >= maxRetries || delay === null) throw error;
+        console.warn(`llmService: ${adapter.label} request failed (${error.status}), retrying in ${Math.round(delay / 1000)}s`);
+        await sleep(delay, signal);
+      }
+    }
+  };
+
+  // Fingerprinted as asked, before the JSON instruction, so replays match on any provider
+  const saveFixture = async (task, model, request, reply) => {
+    try {
+      recordFixture(await fingerprintRequest(request), {
+        task,
+        provider: adapter.id,
+        model,
+        request: {
+          system: request.system || '',
+          messages: request.messages,
+          image: request.image?.mimeType || null,
+          json: Boolean(request.json),
+        },
+        response: reply,
+      });
+    } catch (error) {
+      console.warn('llmService: could not record the response', error);
+    }
+  };
+
+  return {
+    provider: adapter,
+    supportsVision,
+    /** Model id used for a task ('vision', 'chat' or 'generation'). */
+    modelFor,
+
+    /**
+     * Multi-turn text completion.
+     * @param {{system?: string, messages: Array, task?: string, maxTokens?: number, temperature?: number, onToken?: Function, signal?: AbortSignal}} options
+     * @returns {Promise<string>}
+     */
+    chat: ({ task = 'chat', ...options }) => complete({ task, ...options }),
+
+    /**
+     * Single prompt about an image.
+     * @param {{system?: string, prompt: string, image: File, maxTokens?: number}} options
+     * @returns {Promise<string>}
+     */
+    vision: async ({ prompt, image, ...options }) => {
+      if (!supportsVision) {
+        throw new Error(`${adapter.label} is not set up for image input`);
+      }
+      return complete({
+        task: 'vision',
+        ...options,
+        messages: [{ role: 'user', content: prompt }],
+        image: await toImagePart(image),
+      });
+    },
+
+    /**
+     * Completion parsed as JSON. Models without a JSON mode are asked for
+     * JSON in the system prompt instead.
+     * @param {{system?: string, prompt: string, task?: string, maxTokens?: number, onToken?: Function, signal?: AbortSignal}} options
+     * @returns {Promise<Object>}
+     */
+    json: async ({ prompt, task = 'generation', ...options }) => parseJson(await complete({
+      task,
+      ...options,
+      messages: [{ role: 'user', content: prompt }],
+      json: true,
+    })),
+  };
+};
+
+/**
+ * Whether an error comes from aborting a request (e.g. the user pressed Stop).
+ * Timeouts are reported as errors, not aborts.
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Runs a request with its own signal that aborts when the caller's signal does
+ * or when `seconds` pass without progress. Streams call `keepAlive` on each
+ * chunk, so the timeout measures silence rather than total length.
+ */
+const withTimeout = async (seconds, signal, label, run) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer;
+  const keepAlive = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, seconds * 1000);
+  };
+  const forwardAbort = () => controller.abort();
+
+  if (signal?.aborted) forwardAbort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+  keepAlive();
+  try {
+    return await run(controller.signal, keepAlive);
+  } catch (error) {
+    if (!timedOut) throw error;
+    throw new RequestTimeoutError(`${label} did not respond within ${seconds} seconds`);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+};
+
+/**
+ * Milliseconds to wait before retrying, or null when the error is not worth
+ * retrying. Honours Retry-After, otherwise backs off exponentially with jitter.
+ */
+const retryDelay = (error, attempt) => {
+  if (error?.status !== 429 && !(error?.status >= 500)) return null;
+  if (error.retryAfter !== undefined) {
+    return error.retryAfter <= MAX_RETRY_DELAY_MS ? error.retryAfter : null;
+  }
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+};
+
+// Resolves after `ms`, or rejects like an aborted fetch when the signal fires
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('The operation was aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  if (signal?.aborted) abort();
+  else signal?.addEventListener('abort', abort, { once: true });
+});
+
+/**
+ * Parses a JSON reply, tolerating code fences or text around the object.
+ * @param {string} text
+ * @returns {Object}
+ */
+export const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const match = text.match(/\{[\s\S]*\}/);
+    try {
+      if (match) return JSON.parse(match[0]);
+    } catch {
+      // Reported below
+    }
+    throw new MalformedOutputError('The model did not return valid JSON');
+  }
+};
+
+const toImagePart = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve({ mimeType: file.type, data: reader.result.split(',')[1] });
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
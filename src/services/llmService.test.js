@@ -0,0 +1,29 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createLLMClient } from './llmService';
+
+describe('createLLMClient', () => {
+  beforeEach(() => vi.stubEnv('VITE_OPENAI_API_KEY', 'sk-from-env'));
+  afterEach(() => vi.unstubAllEnvs());
+
+  it('uses the environment key for OpenAI', () => {
+    expect(createLLMClient({ provider: 'openai' })?.provider.id).toBe('openai');
+    expect(createLLMClient({})?.provider.id).toBe('openai');
+  });
+
+  it('never falls back to OpenAI for other unconfigured providers', () => {
+    for (const provider of ['gemini', 'anthropic', 'custom']) {
+      expect(createLLMClient({ provider })).toBeNull();
+    }
+    expect(createLLMClient({ provider: 'custom', customBaseUrl: 'http://localhost:11434/v1' })).toBeNull();
+  });
+
+  it('never sends replay requests to a live provider, even without a fixture', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const client = createLLMClient({ provider: 'replay' });
+    expect(client.provider.id).toBe('replay');
+    await expect(client.chat({ messages: [{ role: 'user', content: 'hi' }] }))
+      .rejects.toMatchObject({ name: 'FixtureMissingError' });
+    expect(fetchSpy).not.toHaveBeenCalled();
+    fetchSpy.mockRestore();
+  });
+});
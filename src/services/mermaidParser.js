@@ -0,0 +1,530 @@
+/**
+ * Mermaid Parser
+ * Deterministic, local conversion of Mermaid `graph` / `flowchart` definitions
+ * into the React Flow `{ nodes, edges }` structure used by SystemDiagram.
+ * Subgraphs become group nodes that contain their members.
+ *
+ * Image analysis adds where each component sits in the source image as
+ * comments, which Mermaid itself ignores:
+ *   %% bbox <id> <x> <y> <width> <height> [page <n>]
+ * Values are on a 0-1000 scale of the image width and height; the optional
+ * page is 1-based. They are stored on the node as `data.bbox`, in fractions
+ * of the image with a 0-based `page` index.
+ */
+
+import { GROUP_NODE_TYPE } from './groupService';
+
+// Shape delimiters, longest openers first so `((` wins over `(`
+const SHAPES = [
+  { open: '(((', close: ')))', shape: 'doublecircle' },
+  { open: '((', close: '))', shape: 'circle' },
+  { open: '([', close: '])', shape: 'stadium' },
+  { open: '[[', close: ']]', shape: 'subroutine' },
+  { open: '[(', close: ')]', shape: 'cylinder' },
+  { open: '[/', close: '/]', shape: 'parallelogram' },
+  { open: '[/', close: '\\]', shape: 'trapezoid' },
+  { open: '[\\', close: '\\]', shape: 'parallelogram-alt' },
+  { open: '[\\', close: '/]', shape: 'trapezoid-alt' },
+  { open: '{{', close: '}}', shape: 'hexagon' },
+  { open: '>', close: ']', shape: 'asymmetric' },
+  { open: '[', close: ']', shape: 'rect' },
+  { open: '(', close: ')', shape: 'round' },
+  { open: '{', close: '}', shape: 'rhombus' },
+];
+
+// Keyword hints used to pick a node type when the shape alone is ambiguous
+const TYPE_KEYWORDS = [
+  { type: 'cacheNode', pattern: /\b(cache|redis|memcache\w*|cdn|cloudfront|cloudflare)\b/i },
+  { type: 'databaseNode', pattern: /\b(db|database|sql|postgres\w*|mysql|mongo\w*|dynamo\w*|cassandra|storage|s3|bucket|warehouse|datastore)\b/i },
+  { type: 'loadBalancerNode', pattern: /\b(lb|load\s*balancer|balancer|nginx|haproxy|alb|elb|proxy|ingress)\b/i },
+  { type: 'clientNode', pattern: /\b(client|browser|user|users|mobile|frontend|front-end|web\s*app|ios|android|spa)\b/i },
+];
+
+// Class names that pin a node type, as written by mermaidSerializer
+const NODE_TYPE_CLASSES = new Set(['clientNode', 'serverNode', 'databaseNode', 'loadBalancerNode', 'cacheNode']);
+
+const CLASS_STATEMENT = /^class\s+([\w$.,\s-]+?)\s+([\w-]+)$/;
+
+const SUBGRAPH_START = /^subgraph\s+(.+)$/;
+const SUBGRAPH_END = /^end$/;
+
+// Statements that carry no nodes or edges
+const IGNORED_STATEMENT = /^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+
+const BBOX_COMMENT = /^%%\s*bbox\s+([A-Za-z0-9_$.-]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)(?:\s+page\s+(\d+))?\s*$/i;
+
+const HEADER = /^(graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?\s*$/i;
+
+const NODE_ID = /^[A-Za-z0-9_$]+(?:[.-][A-Za-z0-9_$]+)*/;
+
+// Links with inline text: `-- text -->`, `== text ==>`, `-. text .->`, with
+// or without spaces around the text
+const TEXT_LINKS = [
+  { regex: /^(<)?--\s*(.+?)\s*(-{2,})(>|[ox](?!\w))?/, lineStyle: 'solid' },
+  { regex: /^(<)?==\s*(.+?)\s*(={2,})(>|[ox](?!\w))?/, lineStyle: 'thick' },
+  { regex: /^(<)?-\.\s*(.+?)\s*(\.-+)(>|[ox](?!\w))?/, lineStyle: 'dotted' },
+];
+
+// Plain links: `-->`, `---`, `-.->`, `==>`, `<-->`, `~~~`, and the circle and
+// cross ends `--o`, `--x`, `o--o`, which are drawn as arrows. A bare `--` or
+// `==` opens a text link instead.
+const PLAIN_LINK = /^([<ox])?(-{2,}|={2,}|-\.+-|~{3,})(>|[ox](?!\w))?/;
+
+const PIPE_LABEL = /^\s*\|([^|]*)\|/;
+
+// Node metadata, Mermaid 11.3+: `A@{ shape: cyl, label: "Orders DB" }`
+const NODE_METADATA = /^@\{([^}]*)\}/;
+
+// Metadata shape names and aliases for the shapes above; others draw as `rect`
+const METADATA_SHAPES = {
+  rect: 'rect',
+  rounded: 'round',
+  stadium: 'stadium',
+  pill: 'stadium',
+  subproc: 'subroutine',
+  'fr-rect': 'subroutine',
+  cyl: 'cylinder',
+  db: 'cylinder',
+  database: 'cylinder',
+  cylinder: 'cylinder',
+  circle: 'circle',
+  circ: 'circle',
+  'dbl-circ': 'doublecircle',
+  diam: 'rhombus',
+  diamond: 'rhombus',
+  decision: 'rhombus',
+  hex: 'hexagon',
+  hexagon: 'hexagon',
+  'lean-r': 'parallelogram',
+  'lean-l': 'parallelogram-alt',
+  'trap-b': 'trapezoid',
+  'trap-t': 'trapezoid-alt',
+  odd: 'asymmetric',
+};
+
+/**
+ * Infers a React Flow node type from the Mermaid shape and label.
+ * @param {string} shape
+ * @param {string} label
+ * @returns {string}
+ */
+export const inferNodeType = (shape, label = '') => {
+  const match = TYPE_KEYWORDS.find(({ pattern }) => pattern.test(label));
+  // Redis and friends are often drawn as cylinders, so caches win over shape
+  if (match?.type === 'cacheNode') return match.type;
+  if (shape === 'cylinder') return 'databaseNode';
+  return match ? match.type : 'serverNode';
+};
+
+// An explicit node-type class (`A:::cacheNode`) beats inference
+const resolveNodeType = (node, assignedClass) => {
+  const className = assignedClass || node.className;
+  if (NODE_TYPE_CLASSES.has(className)) return className;
+  return inferNodeType(node.shape, node.label);
+};
+
+/**
+ * Finds a flowchart definition in pasted or dropped text, which may be
+ * wrapped in a ```mermaid fence.
+ * @param {string} text
+ * @returns {string|null} the Mermaid code, or null when the text is not a graph/flowchart
+ */
+export const findMermaidFlowchart = (text) => {
+  const fenced = text.match(/```(?:mermaid)?[^\S\n]*\n([\s\S]*?)```/);
+  const code = (fenced ? fenced[1] : text).trim();
+  const [header] = splitStatements(code);
+  return header && HEADER.test(header) ? code : null;
+};
+
+/**
+ * Parses a Mermaid flowchart into React Flow nodes and edges.
+ * Nodes are returned unpositioned; run them through layoutGraph before display.
+ * @param {string} mermaidCode
+ * @returns {{nodes: Array, edges: Array, direction: string}}
+ */
+export const parseMermaid = (mermaidCode) => {
+  const nodes = new Map();
+  const edges = [];
+  const classes = new Map();
+  const groups = new Map();
+  const groupStack = [];
+  let direction = 'TD';
+  let foundHeader = false;
+
+  const statements = splitStatements(mermaidCode);
+  const boxes = parseBoundingBoxes(mermaidCode);
+
+  for (const statement of statements) {
+    if (!foundHeader) {
+      const header = statement.match(HEADER);
+      if (header) {
+        foundHeader = true;
+        direction = normalizeDirection(header[2]);
+        continue;
+      }
+      throw new Error('Unsupported Mermaid diagram: expected a "graph" or "flowchart" header');
+    }
+
+    const classStatement = statement.match(CLASS_STATEMENT);
+    if (classStatement) {
+      for (const id of classStatement[1].split(',')) {
+        classes.set(id.trim(), classStatement[2]);
+      }
+      continue;
+    }
+
+    const subgraph = statement.match(SUBGRAPH_START);
+    if (subgraph) {
+      const group = parseSubgraphHeader(subgraph[1], groups);
+      group.parent = groupStack[groupStack.length - 1] || null;
+      groups.set(group.id, group);
+      groupStack.push(group.id);
+      continue;
+    }
+
+    if (SUBGRAPH_END.test(statement)) {
+      if (!groupStack.length) {
+        throw new Error('Mermaid "end" without a matching "subgraph"');
+      }
+      groupStack.pop();
+      continue;
+    }
+
+    if (IGNORED_STATEMENT.test(statement)) continue;
+    parseStatement(statement, nodes, edges, groupStack[groupStack.length - 1] || null);
+  }
+
+  if (!foundHeader) {
+    throw new Error('Unsupported Mermaid diagram: expected a "graph" or "flowchart" header');
+  }
+  if (groupStack.length) {
+    throw new Error(`Mermaid subgraph "${groupStack[groupStack.length - 1]}" is missing its "end"`);
+  }
+
+  // Groups come first so React Flow sees every parent before its children
+  const groupList = [...groups.values()].map((group) => ({
+    id: group.id,
+    type: GROUP_NODE_TYPE,
+    position: { x: 0, y: 0 },
+    data: { label: group.label, collapsed: false },
+    ...parentProps(group.parent),
+  }));
+
+  // Edges may target a subgraph by id; those references are the group itself
+  const nodeList = [...nodes.values()]
+    .filter((node) => !groups.has(node.id))
+    .map((node) => ({
+      id: node.id,
+      type: resolveNodeType(node, classes.get(node.id)),
+      position: { x: 0, y: 0 },
+      data: {
+        label: node.label,
+        description: '',
+        tech: '',
+        shape: node.shape,
+        ...(boxes.has(node.id) && { bbox: boxes.get(node.id) }),
+      },
+      ...parentProps(node.parent),
+    }));
+
+  return { nodes: [...groupList, ...nodeList], edges, direction };
+};
+
+// Reads `%% bbox` comments into a map of node id -> box
+const parseBoundingBoxes = (code) => {
+  const boxes = new Map();
+  for (const line of code.split(/\r?\n/)) {
+    const match = line.trim().match(BBOX_COMMENT);
+    if (!match) continue;
+    const [x, y, width, height] = match.slice(2, 6).map((value) => Math.min(Number(value) / 1000, 1));
+    // Clipped to the image; empty and malformed boxes are dropped
+    const box = { x, y, width: Math.min(width, 1 - x), height: Math.min(height, 1 - y) };
+    if (!Object.values(box).every(Number.isFinite) || box.width <= 0 || box.height <= 0) continue;
+    boxes.set(match[1], match[6] ? { ...box, page: Number(match[6]) - 1 } : box);
+  }
+  return boxes;
+};
+
+const parentProps = (parent) => (parent ? { parentNode: parent, extent: 'parent' } : {});
+
+/**
+ * Reads `subgraph id [Title]`, `subgraph "Title"` or `subgraph Title`.
+ * Titles without an explicit id get one derived from the title.
+ */
+const parseSubgraphHeader = (text, groups) => {
+  const explicit = text.match(/^([A-Za-z0-9_$.-]+)\s*\[(.*)\]$/);
+  if (explicit) {
+    return { id: explicit[1], label: cleanLabel(explicit[2]) };
+  }
+
+  const label = cleanLabel(text);
+  if (/^[A-Za-z0-9_$]+$/.test(label)) {
+    return { id: label, label };
+  }
+
+  const base = label.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'group';
+  let id = base;
+  for (let i = 2; groups.has(id); i++) {
+    id = `${base}_${i}`;
+  }
+  return { id, label };
+};
+
+// Splits on newlines and `;`, dropping comments, directives, YAML
+// frontmatter and blank lines
+const splitStatements = (code) => {
+  const statements = [];
+
+  for (const rawLine of stripFrontmatter(code).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('%%')) continue;
+
+    let current = '';
+    let quoted = false;
+    for (const char of line) {
+      if (char === '"') quoted = !quoted;
+      if (char === ';' && !quoted) {
+        if (current.trim()) statements.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) statements.push(current.trim());
+  }
+
+  return statements;
+};
+
+// Frontmatter (`---` lines around `title:` or `config:`) may open the diagram
+const stripFrontmatter = (code) => code.replace(/^\s*---[^\S\n]*\n[\s\S]*?\n[^\S\n]*---[^\S\n]*(?:\n|$)/, '');
+
+const normalizeDirection = (dir) => {
+  const upper = (dir || 'TD').toUpperCase();
+  return upper === 'TB' ? 'TD' : upper;
+};
+
+/**
+ * Parses one statement: a chain of node groups joined by links,
+ * e.g. `A[Client] -->|HTTPS| B & C --> D[(DB)]`. Statements this parser
+ * does not understand are skipped whole, so one exotic line does not fail
+ * the conversion or leave half of its nodes behind.
+ */
+const parseStatement = (statement, nodes, edges, group) => {
+  const refs = [];
+  const links = [];
+  let rest = statement;
+  let previousMembers = null;
+  let pendingLink = null;
+
+  while (rest.length) {
+    const members = [];
+    for (;;) {
+      const parsed = parseNodeRef(rest);
+      if (!parsed) return skipStatement(statement);
+      refs.push(parsed.node);
+      members.push(parsed.node.id);
+      rest = parsed.rest.trimStart();
+
+      if (!rest.startsWith('&')) break;
+      rest = rest.slice(1).trimStart();
+    }
+
+    if (previousMembers && pendingLink) {
+      for (const source of previousMembers) {
+        for (const target of members) {
+          links.push({ source, target, link: pendingLink });
+        }
+      }
+    }
+
+    if (!rest.length) break;
+
+    const link = parseLink(rest);
+    if (!link) return skipStatement(statement);
+    previousMembers = members;
+    pendingLink = link.link;
+    rest = link.rest.trimStart();
+
+    // A link without a target
+    if (!rest.length) return skipStatement(statement);
+  }
+
+  refs.forEach((node) => registerNode(nodes, node, group));
+  links.forEach(({ source, target, link }) => edges.push(createEdge(edges.length + 1, source, target, link)));
+};
+
+const skipStatement = (statement) => {
+  console.warn(`mermaidParser: skipping unsupported statement "${statement}"`);
+};
+
+const parseNodeRef = (input) => {
+  const idMatch = input.match(NODE_ID);
+  if (!idMatch) return null;
+
+  const id = idMatch[0];
+  let rest = input.slice(id.length);
+  let label = null;
+  let shape = null;
+
+  const metadata = rest.match(NODE_METADATA);
+  if (metadata) {
+    ({ label, shape } = parseNodeMetadata(metadata[1]));
+    rest = rest.slice(metadata[0].length);
+  } else {
+    const match = matchShape(rest);
+    if (match) {
+      label = cleanLabel(match.body.text);
+      shape = match.shape;
+      rest = match.body.rest;
+    }
+  }
+
+  let className = null;
+  const classMatch = rest.match(/^:::([\w-]+)/);
+  if (classMatch) {
+    className = classMatch[1];
+    rest = rest.slice(classMatch[0].length);
+  }
+
+  return { node: { id, label, shape, className }, rest };
+};
+
+// Reads `shape` and `label` from `A@{ shape: cyl, label: "Orders DB" }`
+const parseNodeMetadata = (body) => {
+  const fields = {};
+  for (const [, key, quoted, plain] of body.matchAll(/(\w+)\s*:\s*(?:"([^"]*)"|([^,]*))/g)) {
+    fields[key] = (quoted ?? plain).trim();
+  }
+  return {
+    label: fields.label ? cleanLabel(fields.label) : null,
+    shape: fields.shape || fields.label ? METADATA_SHAPES[fields.shape] || 'rect' : null,
+  };
+};
+
+// Shapes sharing an opener, like `[/x/]` and `[/x\]`, are told apart by
+// whichever closer comes first, so the body never runs into the next node
+const matchShape = (input) => {
+  let best = null;
+  for (const candidate of SHAPES) {
+    if (!input.startsWith(candidate.open)) continue;
+    // Longer openers come first in SHAPES and win over shorter ones
+    if (best && candidate.open !== best.open) break;
+
+    const body = readShapeBody(input.slice(candidate.open.length), candidate.close);
+    if (body && (!best || body.rest.length > best.body.rest.length)) {
+      best = { open: candidate.open, shape: candidate.shape, body };
+    }
+  }
+  return best;
+};
+
+const readShapeBody = (input, close) => {
+  const trimmed = input.trimStart();
+  if (trimmed.startsWith('"')) {
+    const endQuote = trimmed.indexOf('"', 1);
+    if (endQuote === -1) return null;
+    const after = trimmed.slice(endQuote + 1).trimStart();
+    if (!after.startsWith(close)) return null;
+    return { text: trimmed.slice(1, endQuote), rest: after.slice(close.length) };
+  }
+
+  const end = input.indexOf(close);
+  if (end === -1) return null;
+  return { text: input.slice(0, end), rest: input.slice(end + close.length) };
+};
+
+const cleanLabel = (text) => text
+  .trim()
+  .replace(/^"([^]*)"$/, '$1')
+  .replace(/^`|`$/g, '')
+  .replace(/<br\s*\/?>/gi, ' ')
+  .replace(/#quot;/g, '"')
+  .replace(/#124;/g, '|')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// A node belongs to the first subgraph it is mentioned in
+const registerNode = (nodes, node, group) => {
+  const existing = nodes.get(node.id);
+  if (!existing) {
+    nodes.set(node.id, {
+      id: node.id,
+      label: node.label || node.id,
+      shape: node.shape || 'rect',
+      className: node.className,
+      parent: group,
+    });
+    return;
+  }
+  if (!existing.parent && group) existing.parent = group;
+  if (node.className) existing.className = node.className;
+  // A later reference may carry the shape/label the first one omitted
+  if (node.shape) {
+    existing.label = node.label || existing.label;
+    existing.shape = node.shape;
+  }
+};
+
+const parseLink = (input) => {
+  const match = input.match(PLAIN_LINK);
+  // `--` and `==` alone start a text link, as in `A--text-->B`
+  const opensText = match && !match[3] && (match[2] === '--' || match[2] === '==');
+  if (!match || opensText) {
+    for (const { regex, lineStyle } of TEXT_LINKS) {
+      const text = input.match(regex);
+      if (text) {
+        return {
+          link: { lineStyle, label: cleanLabel(text[2]), arrowhead: Boolean(text[4]), bidirectional: Boolean(text[1]) },
+          rest: input.slice(text[0].length),
+        };
+      }
+    }
+    return null;
+  }
+
+  const [raw, startArrow, line, endArrow] = match;
+  let rest = input.slice(raw.length);
+  let label = '';
+
+  const pipe = rest.match(PIPE_LABEL);
+  if (pipe) {
+    label = cleanLabel(pipe[1]);
+    rest = rest.slice(pipe[0].length);
+  }
+
+  let lineStyle = 'solid';
+  if (line.startsWith('=')) lineStyle = 'thick';
+  else if (line.includes('.')) lineStyle = 'dotted';
+  else if (line.startsWith('~')) lineStyle = 'invisible';
+
+  return {
+    link: { lineStyle, label, arrowhead: Boolean(endArrow), bidirectional: Boolean(startArrow) },
+    rest,
+  };
+};
+
+const createEdge = (index, source, target, link) => {
+  const edge = {
+    id: `e${index}`,
+    source,
+    target,
+    animated: true,
+  };
+
+  if (link.label) edge.label = link.label;
+
+  if (link.lineStyle === 'dotted') {
+    edge.style = { strokeDasharray: '5,5' };
+  } else if (link.lineStyle === 'thick') {
+    edge.style = { strokeWidth: 3 };
+  } else if (link.lineStyle === 'invisible') {
+    edge.hidden = true;
+  }
+
+  if (!link.arrowhead || link.bidirectional) {
+    edge.data = { arrowhead: link.arrowhead ? 'both' : 'none' };
+  }
+
+  return edge;
+};
@@ -0,0 +1,97 @@
+import { describe, expect, it, vi } from 'vitest';
+import { parseMermaid } from './mermaidParser';
+
+const parse = (body) => parseMermaid(`flowchart TD\n${body}`);
+const edgeList = (graph) => graph.edges.map((edge) => `${edge.source}->${edge.target}:${edge.label || ''}`);
+const nodeIds = (graph) => graph.nodes.map((node) => node.id);
+
+describe('parseMermaid links', () => {
+  it('reads link text with and without surrounding spaces', () => {
+    for (const body of ['A--text-->B', 'A -- text --> B', 'A-- text-->B']) {
+      const graph = parse(body);
+      expect(nodeIds(graph)).toEqual(['A', 'B']);
+      expect(edgeList(graph)).toEqual(['A->B:text']);
+    }
+  });
+
+  it('reads thick and dotted links with text', () => {
+    const thick = parse('A ==text==> D');
+    expect(nodeIds(thick)).toEqual(['A', 'D']);
+    expect(thick.edges[0]).toMatchObject({ label: 'text', style: { strokeWidth: 3 } });
+
+    const dotted = parse('A -.text.-> B');
+    expect(nodeIds(dotted)).toEqual(['A', 'B']);
+    expect(dotted.edges[0]).toMatchObject({ label: 'text', style: { strokeDasharray: '5,5' } });
+  });
+
+  it('reads text containing dashes', () => {
+    expect(edgeList(parse('A -- read-only --> B'))).toEqual(['A->B:read-only']);
+  });
+
+  it('reads circle and cross ends', () => {
+    expect(edgeList(parse('A --o B\nA --x C\nB o--o C'))).toEqual(['A->B:', 'A->C:', 'B->C:']);
+    expect(parse('A --o B').edges[0].data).toBeUndefined();
+  });
+
+  it('does not take a node starting with o or x for a link end', () => {
+    const graph = parse('A --> orders\nA --- xray');
+    expect(nodeIds(graph)).toEqual(['A', 'orders', 'xray']);
+    expect(graph.edges[1].data).toEqual({ arrowhead: 'none' });
+  });
+
+  it('keeps plain links and pipe labels', () => {
+    const graph = parse('A -->|HTTPS| B & C <--> D\nD --- E\nE ~~~ F');
+    expect(edgeList(graph)).toEqual(['A->B:HTTPS', 'A->C:HTTPS', 'B->D:', 'C->D:', 'D->E:', 'E->F:']);
+    expect(graph.edges[2].data).toEqual({ arrowhead: 'both' });
+    expect(graph.edges[5].hidden).toBe(true);
+  });
+});
+
+describe('parseMermaid node metadata', () => {
+  it('reads shape and label from @{ }', () => {
+    const graph = parse('A@{ shape: cyl, label: "Orders DB" } --> B@{ shape: rounded }');
+    expect(graph.nodes[0]).toMatchObject({ id: 'A', type: 'databaseNode', data: { label: 'Orders DB', shape: 'cylinder' } });
+    expect(graph.nodes[1]).toMatchObject({ id: 'B', data: { label: 'B', shape: 'round' } });
+  });
+
+  it('draws unknown metadata shapes as rectangles', () => {
+    expect(parse('A@{ shape: notch-pent }').nodes[0].data.shape).toBe('rect');
+  });
+});
+
+describe('parseMermaid node shapes', () => {
+  const shapes = (graph) => graph.nodes.map((node) => `${node.id}:${node.data.label}:${node.data.shape}`);
+
+  it('tells trapezoids and parallelograms apart in one statement', () => {
+    const graph = parse('A[/x\\] --> B[/y/]');
+    expect(shapes(graph)).toEqual(['A:x:trapezoid', 'B:y:parallelogram']);
+    expect(edgeList(graph)).toEqual(['A->B:']);
+  });
+
+  it('tells the alternative shapes apart in one statement', () => {
+    const graph = parse('A[\\x/] --> B[\\y\\]');
+    expect(shapes(graph)).toEqual(['A:x:trapezoid-alt', 'B:y:parallelogram-alt']);
+    expect(edgeList(graph)).toEqual(['A->B:']);
+  });
+});
+
+describe('parseMermaid unsupported input', () => {
+  it('skips YAML frontmatter', () => {
+    const graph = parseMermaid('---\ntitle: Checkout\nconfig:\n  theme: dark\n---\nflowchart LR\nA --> B');
+    expect(graph.direction).toBe('LR');
+    expect(edgeList(graph)).toEqual(['A->B:']);
+  });
+
+  it('skips statements it cannot read without failing or keeping part of them', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const graph = parse('A --> B\nC --> D -->\nE e1@--> F\nB --> G');
+    expect(nodeIds(graph)).toEqual(['A', 'B', 'G']);
+    expect(edgeList(graph)).toEqual(['A->B:', 'B->G:']);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  it('still rejects diagrams that are not flowcharts', () => {
+    expect(() => parseMermaid('sequenceDiagram\nA->>B: hi')).toThrow(/graph" or "flowchart" header/);
+  });
+});
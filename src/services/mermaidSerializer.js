@@ -0,0 +1,158 @@
+/**
+ * Mermaid Serializer
+ * Turns the React Flow graph edited in SystemDiagram back into Mermaid code,
+ * the inverse of mermaidParser. Group nodes are written as `subgraph` blocks,
+ * and source-image positions as `%% bbox` comments.
+ */
+
+import { isGroupNode } from './groupService';
+
+// Shape used when a node has no shape of its own (e.g. AI-generated nodes)
+const TYPE_SHAPES = {
+  clientNode: 'stadium',
+  serverNode: 'rect',
+  databaseNode: 'cylinder',
+  loadBalancerNode: 'hexagon',
+  cacheNode: 'cylinder',
+};
+
+const SHAPE_DELIMITERS = {
+  doublecircle: ['(((', ')))'],
+  circle: ['((', '))'],
+  stadium: ['([', '])'],
+  subroutine: ['[[', ']]'],
+  cylinder: ['[(', ')]'],
+  parallelogram: ['[/', '/]'],
+  trapezoid: ['[/', '\\]'],
+  'parallelogram-alt': ['[\\', '\\]'],
+  'trapezoid-alt': ['[\\', '/]'],
+  hexagon: ['{{', '}}'],
+  asymmetric: ['>', ']'],
+  rect: ['[', ']'],
+  round: ['(', ')'],
+  rhombus: ['{', '}'],
+};
+
+// Matches the accent colors of the custom nodes in CustomNodes.jsx
+const TYPE_CLASS_DEFS = {
+  clientNode: 'stroke:#a855f7,stroke-width:2px',
+  serverNode: 'stroke:#3b82f6,stroke-width:2px',
+  databaseNode: 'stroke:#10b981,stroke-width:2px',
+  loadBalancerNode: 'stroke:#f97316,stroke-width:2px',
+  cacheNode: 'stroke:#eab308,stroke-width:2px',
+};
+
+const RESERVED_IDS = /^(end|graph|flowchart|subgraph|class|classDef|style|click|direction)$/i;
+
+/**
+ * Serializes React Flow nodes and edges into a Mermaid flowchart.
+ * @param {{nodes: Array, edges: Array}} graph
+ * @param {string} direction - TD, BT, LR or RL
+ * @returns {string} Mermaid diagram string
+ */
+export const serializeToMermaid = ({ nodes, edges }, direction = 'TD') => {
+  const ids = buildIdMap(nodes);
+  const lines = [`graph ${direction}`];
+
+  const knownIds = new Set(nodes.map((node) => node.id));
+  const children = new Map();
+  for (const node of nodes) {
+    const parent = knownIds.has(node.parentNode) ? node.parentNode : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(node);
+  }
+
+  const writeScope = (parent, depth) => {
+    const indent = '    '.repeat(depth);
+    for (const node of children.get(parent) || []) {
+      if (isGroupNode(node)) {
+        lines.push(`${indent}subgraph ${ids.get(node.id)}["${escapeLabel(node.data?.label || node.id)}"]`);
+        writeScope(node.id, depth + 1);
+        lines.push(`${indent}end`);
+      } else {
+        lines.push(`${indent}${serializeNode(node, ids.get(node.id))}`);
+      }
+    }
+  };
+  writeScope(null, 1);
+
+  for (const edge of edges) {
+    const source = ids.get(edge.source);
+    const target = ids.get(edge.target);
+    if (!source || !target) continue;
+    lines.push(`    ${source} ${serializeLink(edge)} ${target}`);
+  }
+
+  // Source-image positions from image analysis, in mermaidParser's comment format
+  const boxLines = nodes.filter((node) => node.data?.bbox).map((node) => serializeBoundingBox(node.data.bbox, ids.get(node.id)));
+  if (boxLines.length) {
+    lines.push('', ...boxLines);
+  }
+
+  const usedTypes = [...new Set(nodes.map((node) => node.type))].filter((type) => TYPE_CLASS_DEFS[type]);
+  if (usedTypes.length) {
+    lines.push('');
+    for (const type of usedTypes) {
+      lines.push(`    classDef ${type} ${TYPE_CLASS_DEFS[type]}`);
+    }
+  }
+
+  return lines.join('\n');
+};
+
+// Maps React Flow ids to unique, Mermaid-safe identifiers
+const buildIdMap = (nodes) => {
+  const ids = new Map();
+  const used = new Set();
+
+  for (const node of nodes) {
+    let base = String(node.id).replace(/[^A-Za-z0-9_]/g, '_') || 'node';
+    if (RESERVED_IDS.test(base)) base = `${base}_node`;
+
+    let id = base;
+    for (let i = 2; used.has(id); i++) {
+      id = `${base}_${i}`;
+    }
+    used.add(id);
+    ids.set(node.id, id);
+  }
+
+  return ids;
+};
+
+const serializeNode = (node, id) => {
+  const shape = SHAPE_DELIMITERS[node.data?.shape] ? node.data.shape : TYPE_SHAPES[node.type] || 'rect';
+  const [open, close] = SHAPE_DELIMITERS[shape];
+  const label = escapeLabel(node.data?.label || node.id);
+  const className = TYPE_CLASS_DEFS[node.type] ? `:::${node.type}` : '';
+  return `${id}${open}"${label}"${close}${className}`;
+};
+
+const serializeBoundingBox = ({ x, y, width, height, page }, id) => {
+  const values = [x, y, width, height].map((value) => Math.round(value * 1000)).join(' ');
+  return `    %% bbox ${id} ${values}${page ? ` page ${page + 1}` : ''}`;
+};
+
+const serializeLink = (edge) => {
+  if (edge.hidden) return '~~~';
+
+  const dashed = Boolean(edge.style?.strokeDasharray);
+  const thick = !dashed && Number(edge.style?.strokeWidth) >= 3;
+  const arrowhead = edge.data?.arrowhead;
+
+  let line;
+  if (dashed) line = arrowhead === 'none' ? '-.-' : '-.->';
+  else if (thick) line = arrowhead === 'none' ? '===' : '==>';
+  else line = arrowhead === 'none' ? '---' : '-->';
+
+  if (arrowhead === 'both') line = `<${line}`;
+
+  const label = typeof edge.label === 'string' ? edge.label.trim() : '';
+  return label ? `${line}|"${escapeLabel(label)}"|` : line;
+};
+
+const escapeLabel = (text) => String(text)
+  .replace(/"/g, '#quot;')
+  .replace(/\|/g, '#124;')
+  .replace(/\s+/g, ' ')
+  .trim();
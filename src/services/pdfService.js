@@ -0,0 +1,75 @@
+/**
+ * PDF Service
+ * Rasterizes PDF pages to PNG images in the browser, so multi-page
+ * architecture documents can be analyzed like screenshots. pdf.js is loaded
+ * on first use to keep it out of the main bundle.
+ */
+
+// Longest side of a rendered page in pixels: legible for vision models, small enough to upload
+const MAX_PAGE_SIZE = 2000;
+export const MAX_PDF_PAGES = 30;
+
+let pdfjsPromise = null;
+
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+    // Let a later call try again after a failure
+    pdfjsPromise.catch(() => {
+      pdfjsPromise = null;
+    });
+  }
+  return pdfjsPromise;
+};
+
+export const isPdfFile = (file) => file?.type === 'application/pdf' || /\.pdf$/i.test(file?.name || '');
+
+/**
+ * Renders each page of a PDF to a PNG file named after the document. Only the
+ * first MAX_PDF_PAGES pages are rendered; `totalPages` tells callers when
+ * the rest were left out.
+ * @param {File} file
+ * @returns {Promise<{pages: File[], totalPages: number}>} one image per
+ *   rendered page, in document order, and the page count of the document
+ */
+export const rasterizePdf = async (file) => {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const totalPages = pdf.numPages;
+
+  const baseName = file.name.replace(/\.pdf$/i, '');
+  const pages = [];
+  try {
+    for (let number = 1; number <= Math.min(pdf.numPages, MAX_PDF_PAGES); number++) {
+      const page = await pdf.getPage(number);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: Math.min(2, MAX_PAGE_SIZE / Math.max(width, height)) });
+      const blob = await renderPage(page, viewport);
+      pages.push(new File([blob], `${baseName}-page-${number}.png`, { type: 'image/png' }));
+      page.cleanup();
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return { pages, totalPages };
+};
+
+const renderPage = async (page, viewport) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const context = canvas.getContext('2d');
+  // PDF pages are transparent where nothing is drawn; models read dark-on-white best
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not render PDF page'))), 'image/png');
+  });
+};
@@ -0,0 +1,181 @@
+/**
+ * Project Service
+ * Saves and opens `.sdv.json` project files: the source images (embedded),
+ * Mermaid code, laid-out graph, design summary, chat transcript and the
+ * prompt template versions that generated it.
+ * Older files are migrated step by step to the current schema on open.
+ */
+
+import { downloadFile } from './exportService';
+import { validateGraph } from './graphValidator';
+
+export const PROJECT_FORMAT = 'system-design-visualizer';
+export const PROJECT_VERSION = 3;
+export const PROJECT_EXTENSION = '.sdv.json';
+
+const MODES = ['upload', 'chat', 'chat-result'];
+
+// Runtime-only React Flow fields that should not end up in saved files
+const TRANSIENT_NODE_FIELDS = ['selected', 'dragging', 'positionAbsolute', 'width', 'height', 'resizing'];
+const TRANSIENT_EDGE_FIELDS = ['selected'];
+
+/**
+ * Schema migrations keyed by the version they upgrade from. Each takes a
+ * project of version N and returns one of version N + 1.
+ */
+const MIGRATIONS = {
+  // v2 records prompt template versions; older designs did not track them
+  1: (project) => ({ ...project, prompts: {} }),
+  // v3 embeds every page of a multi-page upload, not only the first
+  2: (project) => {
+    const { image, ...source } = project.source || {};
+    return { ...project, source: { ...source, images: image ? [image] : [] } };
+  },
+};
+
+export const isProjectFile = (file) => file?.name?.toLowerCase().endsWith(PROJECT_EXTENSION);
+
+/**
+ * Builds a project document from the current app state.
+ * @param {Object} state
+ * @param {string} state.mode - 'upload', 'chat' or 'chat-result'
+ * @param {string[]} [state.imageUrls] - object or data URLs of the source images, one per page
+ * @param {string|null} state.importedFileName - name of an imported draw.io file
+ * @param {string|null} state.mermaidCode
+ * @param {{nodes: Array, edges: Array, direction: string}|null} state.graph
+ * @param {string|null} state.summary
+ * @param {Array} state.messages - chat transcript
+ * @param {Object<string, {version: number, custom: boolean}>} [state.prompts] - template
+ *   versions that produced the design, by template id (see promptService)
+ * @returns {Promise<Object>} project document
+ */
+export const createProject = async ({ mode, imageUrls = [], importedFileName, mermaidCode, graph, summary, messages, prompts }) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  savedAt: new Date().toISOString(),
+  mode,
+  source: {
+    images: await Promise.all(imageUrls.map(embedImage)),
+    importedFileName: importedFileName || null,
+  },
+  mermaidCode: mermaidCode || null,
+  graph: graph
+    ? {
+      direction: graph.direction || 'TD',
+      nodes: graph.nodes.map((node) => omit(node, TRANSIENT_NODE_FIELDS)),
+      edges: graph.edges.map((edge) => omit(edge, TRANSIENT_EDGE_FIELDS)),
+    }
+    : null,
+  summary: summary || null,
+  chat: { messages: messages || [] },
+  prompts: prompts || {},
+});
+
+/**
+ * Saves the current app state as a `.sdv.json` download.
+ * @param {Object} state - see createProject
+ * @param {string} fileName - name without extension
+ */
+export const saveProject = async (state, fileName = 'system-design') => {
+  const project = await createProject(state);
+  // Pretty-printed so saved designs diff cleanly in version control
+  downloadFile(JSON.stringify(project, null, 2), `${fileName}${PROJECT_EXTENSION}`, 'application/json');
+};
+
+/**
+ * Reads a project file, migrating it to the current schema version.
+ * @param {File} file
+ * @returns {Promise<Object>} project document at PROJECT_VERSION, with
+ *   `repairs` listing any fixes made to a damaged graph
+ */
+export const openProject = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  return migrateProject(data);
+};
+
+/**
+ * Upgrades a parsed project document to PROJECT_VERSION.
+ * @param {Object} data
+ * @returns {Object}
+ */
+export const migrateProject = (data) => {
+  if (data?.format !== PROJECT_FORMAT) {
+    throw new Error('Not a System Design Visualizer project file');
+  }
+
+  let project = data;
+  let version = Number(project.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown project version: ${project.version}`);
+  }
+  if (version > PROJECT_VERSION) {
+    throw new Error(`This project was saved by a newer version (v${version}); please update the app`);
+  }
+
+  while (version < PROJECT_VERSION) {
+    project = { ...MIGRATIONS[version](project), version: version + 1 };
+    version += 1;
+  }
+
+  return normalizeProject(project);
+};
+
+/**
+ * Turns embedded images back into object URLs for display.
+ * @param {Array<{dataUrl: string}>} images
+ * @returns {Promise<string[]>}
+ */
+export const restoreImageUrls = (images) => Promise.all(images.map(async (image) => {
+  const blob = await (await fetch(image.dataUrl)).blob();
+  return URL.createObjectURL(blob);
+}));
+
+// Fills defaults so the app can rely on every field being present
+const normalizeProject = (project) => {
+  const { graph: validated, issues } = project.graph
+    ? validateGraph(project.graph)
+    : { graph: null, issues: [] };
+  const graph = validated?.nodes.length ? validated : null;
+  const messages = Array.isArray(project.chat?.messages) ? project.chat.messages : [];
+
+  return {
+    ...project,
+    mode: MODES.includes(project.mode) ? project.mode : inferMode(project, graph, messages),
+    source: {
+      images: Array.isArray(project.source?.images) ? project.source.images.filter((image) => image?.dataUrl) : [],
+      importedFileName: project.source?.importedFileName || null,
+    },
+    mermaidCode: project.mermaidCode || null,
+    graph,
+    summary: project.summary || null,
+    chat: { messages },
+    prompts: project.prompts && typeof project.prompts === 'object' ? project.prompts : {},
+    repairs: issues,
+  };
+};
+
+const inferMode = (project, graph, messages) => {
+  if (project.source?.images?.length || project.source?.importedFileName) return 'upload';
+  if (graph || project.mermaidCode) return messages.length ? 'chat-result' : 'upload';
+  return 'chat';
+};
+
+const embedImage = async (url) => {
+  const blob = await (await fetch(url)).blob();
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+  return { type: blob.type, dataUrl };
+};
+
+const omit = (object, keys) => Object.fromEntries(
+  Object.entries(object).filter(([key]) => !keys.includes(key))
+);
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { migrateProject, PROJECT_FORMAT, PROJECT_VERSION } from './projectService';
+
+const image = { type: 'image/png', dataUrl: 'data:image/png;base64,AAAA' };
+
+describe('migrateProject', () => {
+  it('moves the single embedded image of a v2 project into the page list', () => {
+    const project = migrateProject({ format: PROJECT_FORMAT, version: 2, mode: 'upload', source: { image, importedFileName: null } });
+    expect(project.version).toBe(PROJECT_VERSION);
+    expect(project.source).toEqual({ images: [image], importedFileName: null });
+  });
+
+  it('migrates v1 projects without a source', () => {
+    const project = migrateProject({ format: PROJECT_FORMAT, version: 1, mermaidCode: 'graph TD\nA-->B' });
+    expect(project.source.images).toEqual([]);
+    expect(project.prompts).toEqual({});
+  });
+
+  it('keeps every page of a current project', () => {
+    const pages = [image, { ...image, dataUrl: 'data:image/png;base64,BBBB' }];
+    const project = migrateProject({ format: PROJECT_FORMAT, version: PROJECT_VERSION, source: { images: [...pages, {}] } });
+    expect(project.source.images).toEqual(pages);
+    expect(project.mode).toBe('upload');
+  });
+});
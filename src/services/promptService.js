@@ -0,0 +1,258 @@
+/**
+ * Prompt Service
+ * Registry of the prompt templates the AI services send, with `{{variable}}`
+ * placeholders. Teams can edit each template in Settings to add house
+ * conventions; edits are versioned, so every generated design records which
+ * template version produced it.
+ */
+
+export const PROMPTS_FORMAT = 'system-design-visualizer-prompts';
+export const PROMPTS_FILE_VERSION = 1;
+export const PROMPTS_EXTENSION = '.prompts.json';
+
+/**
+ * Variables available in every template. `render` turns the value from
+ * Settings into the text substituted for `{{name}}`.
+ */
+export const PROMPT_VARIABLES = [
+  {
+    name: 'conventions',
+    label: 'House conventions',
+    placeholder: 'e.g. Always use our internal service names. Prefer GCP managed services.',
+    render: (value) => (value?.trim() ? `HOUSE CONVENTIONS (always follow these):\n${value.trim()}` : ''),
+  },
+];
+
+/**
+ * Built-in templates. Bump `version` when changing a default template.
+ */
+export const PROMPT_TEMPLATES = {
+  imageToMermaid: {
+    label: 'Image → Mermaid',
+    description: 'System prompt for reading an uploaded diagram image',
+    version: 2,
+    template: `You are a system architecture expert. Analyze the provided system design diagram image and convert it into a Mermaid JS diagram.
+
+Return ONLY the Mermaid code string. Do not include markdown code blocks (like \`\`\`mermaid).
+
+Rules:
+1. Use 'graph TD' or 'graph LR' based on the layout.
+2. Use appropriate shapes for components (cylinder for databases, rect for servers, etc).
+3. Ensure directionality of arrows matches the image.
+4. After the diagram, add one comment line per component giving where it is drawn in the image:
+   %% bbox <nodeId> <x> <y> <width> <height>
+   x and y are the top-left corner; all four are whole numbers from 0 to 1000, relative to the image width and height.
+
+{{conventions}}`,
+  },
+  enrichment: {
+    label: 'Component details',
+    description: 'System prompt for describing components when converting Mermaid to the interactive graph',
+    version: 1,
+    template: `You are a system architecture expert. You are given the components of a system design diagram that has already been parsed from Mermaid.
+
+For each component, infer its role and likely technologies from its label, type and connections.
+
+Return ONLY a valid JSON object (no markdown formatting) with this structure:
+{
+  "nodes": [
+    { "id": "the component id, unchanged", "description": "brief description of role inferred from context", "tech": "inferred technologies, comma separated" }
+  ]
+}
+
+Rules:
+1. Return every component id exactly as given; do not add or remove components.
+2. Keep descriptions to one or two sentences.
+
+{{conventions}}`,
+  },
+  chat: {
+    label: 'Chat builder',
+    description: 'System prompt for the requirements conversation',
+    version: 1,
+    template: `You are a friendly system design architect helping users build microservice architectures.
+
+YOUR ROLE:
+- Guide users through understanding their project needs via conversation
+- Ask ONE question at a time, keep responses concise (2-3 sentences max)
+- Be conversational and encouraging, not robotic
+- Adapt your questions based on their answers
+
+TOPICS TO COVER (in flexible order):
+1. Project type (e-commerce, SaaS, social app, etc.)
+2. Expected scale (users, requests per day)
+3. Core features and functionality
+4. Data storage needs
+5. Third-party integrations
+6. Technical preferences or constraints
+
+RULES:
+- After 5-7 exchanges, summarize what you've learned and offer to generate the design
+- If user says "generate" or "done" early, proceed with what you have
+- Always be helpful and explain WHY you're asking something if relevant
+
+{{conventions}}`,
+  },
+  generation: {
+    label: 'Design generation',
+    description: 'System prompt for generating the design at the end of a chat',
+    version: 1,
+    template: `Based on this conversation, create a clean microservice architecture.
+
+REQUIREMENTS:
+- Include 7-15 components depending on complexity
+- ALWAYS include: Client/Frontend, API Gateway, at least one backend service, at least one database
+- Add as needed: Load Balancer, Cache (Redis), Message Queue, CDN, Auth Service, specific microservices
+- Keep it SIMPLE but COMPREHENSIVE - show the key components, not every detail
+- Use clear, descriptive names
+
+OUTPUT FORMAT - Return a JSON object with EXACTLY this structure:
+{
+  "summary": "Brief 1-2 sentence description of the architecture",
+  "mermaidCode": "graph TD\\n    ...(valid mermaid code)...",
+  "flowData": {
+    "nodes": [
+      { "id": "...", "type": "clientNode|serverNode|databaseNode|loadBalancerNode|cacheNode", "data": {"label": "...", "description": "...", "tech": "..."} }
+    ],
+    "edges": [
+      { "id": "...", "source": "...", "target": "...", "animated": true, "label": "optional" }
+    ]
+  }
+}
+
+NODE TYPES:
+- clientNode: Frontend, Mobile, Browser
+- serverNode: Backend services, microservices, API Gateway
+- loadBalancerNode: Load balancers, reverse proxies
+- databaseNode: Databases (SQL, NoSQL)
+- cacheNode: Redis, Memcached, CDN
+
+Do NOT include node positions - the app lays out the graph itself.
+
+{{conventions}}`,
+  },
+};
+
+/**
+ * @typedef {Object} PromptOverride
+ * @property {string|null} template - edited text, or null for the built-in default
+ * @property {number} version - last version number handed out for this template
+ */
+
+/**
+ * @typedef {Object} PromptStamp
+ * @property {number} version
+ * @property {boolean} custom - whether an edited template was used
+ */
+
+/**
+ * The template text in effect: the edited version, or the default.
+ * @param {string} id - key of PROMPT_TEMPLATES
+ * @param {Object<string, PromptOverride>} [overrides] - from settings
+ * @returns {string}
+ */
+export const getPromptTemplate = (id, overrides) => overrides?.[id]?.template ?? PROMPT_TEMPLATES[id].template;
+
+/**
+ * Which version of a template is in effect.
+ * @param {string} id
+ * @param {Object<string, PromptOverride>} [overrides]
+ * @returns {PromptStamp}
+ */
+export const getPromptStamp = (id, overrides) => {
+  const override = overrides?.[id];
+  return override?.template != null
+    ? { version: override.version, custom: true }
+    : { version: PROMPT_TEMPLATES[id].version, custom: false };
+};
+
+/**
+ * Stamps for several templates, as saved with a design.
+ * @param {string[]} ids
+ * @param {Object<string, PromptOverride>} [overrides]
+ * @returns {Object<string, PromptStamp>}
+ */
+export const getPromptStamps = (ids, overrides) => Object.fromEntries(ids.map((id) => [id, getPromptStamp(id, overrides)]));
+
+/**
+ * @param {PromptStamp} stamp
+ * @returns {string} e.g. "v1" or "v3 (custom)"
+ */
+export const formatPromptVersion = (stamp) => `v${stamp.version}${stamp.custom ? ' (custom)' : ''}`;
+
+/**
+ * Fills a template's variables from the AI settings. Unknown placeholders are
+ * left as they are.
+ * @param {string} id
+ * @param {{promptTemplates?: Object, promptVariables?: Object}} [aiSettings]
+ * @returns {string}
+ */
+export const renderPrompt = (id, aiSettings = {}) => {
+  const values = aiSettings.promptVariables || {};
+  const rendered = getPromptTemplate(id, aiSettings.promptTemplates).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    const variable = PROMPT_VARIABLES.find((entry) => entry.name === name);
+    return variable ? variable.render(values[name]) : placeholder;
+  });
+  return rendered.trim();
+};
+
+/**
+ * Applies edited template texts to the saved overrides. A changed template
+ * gets the next version number; text equal to the default clears the edit.
+ * Numbers are never reused, so a version always means the same text.
+ * @param {Object<string, PromptOverride>} overrides - current settings
+ * @param {Object<string, string>} texts - template text per id
+ * @returns {Object<string, PromptOverride>}
+ */
+export const applyPromptEdits = (overrides = {}, texts) => {
+  const next = { ...overrides };
+  Object.entries(texts).forEach(([id, text]) => {
+    if (!PROMPT_TEMPLATES[id] || text === getPromptTemplate(id, overrides)) return;
+    const lastVersion = Math.max(overrides[id]?.version || 0, PROMPT_TEMPLATES[id].version);
+    next[id] = text === PROMPT_TEMPLATES[id].template
+      ? { template: null, version: lastVersion }
+      : { template: text, version: lastVersion + 1 };
+  });
+  return next;
+};
+
+/**
+ * Prompt settings as a shareable document.
+ * @param {Object<string, string>} texts - template text per id
+ * @param {Object<string, string>} variables - variable values
+ * @returns {Object}
+ */
+export const createPromptsFile = (texts, variables) => ({
+  format: PROMPTS_FORMAT,
+  version: PROMPTS_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  templates: texts,
+  variables,
+});
+
+/**
+ * Reads a prompts file, keeping only known templates and variables.
+ * @param {File} file
+ * @returns {Promise<{templates: Object<string, string>, variables: Object<string, string>}>}
+ */
+export const readPromptsFile = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  if (data?.format !== PROMPTS_FORMAT) {
+    throw new Error(`${file.name} is not a prompts file`);
+  }
+  if (data.version > PROMPTS_FILE_VERSION) {
+    throw new Error(`${file.name} was exported by a newer version (v${data.version}); please update the app`);
+  }
+  const pick = (values, keys) => Object.fromEntries(
+    keys.filter((key) => typeof values?.[key] === 'string').map((key) => [key, values[key]])
+  );
+  return {
+    templates: pick(data.templates, Object.keys(PROMPT_TEMPLATES)),
+    variables: pick(data.variables, PROMPT_VARIABLES.map((variable) => variable.name)),
+  };
+};
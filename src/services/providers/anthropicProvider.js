@@ -0,0 +1,123 @@
+/**
+ * Anthropic Provider
+ * Adapter for the Anthropic Messages API (Claude).
+ */
+
+import { readEventStream } from './eventStream';
+import { ContentFilteredError, MalformedOutputError, networkError, responseError } from '../errors';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+// The Messages API requires max_tokens on every request
+const DEFAULT_MAX_TOKENS = 4096;
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic Claude',
+  // No JSON mode: llmService asks for JSON in the system prompt instead
+  models: [
+    { id: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5', vision: true, jsonMode: false, price: { input: 3, output: 15 } },
+    { id: 'claude-haiku-4-5', label: 'Claude Haiku 4.5', vision: true, jsonMode: false, price: { input: 1, output: 5 } },
+    { id: 'claude-opus-4-1', label: 'Claude Opus 4.1', vision: true, jsonMode: false, price: { input: 15, output: 75 } },
+  ],
+  defaultModels: {
+    vision: 'claude-sonnet-4-5',
+    chat: 'claude-haiku-4-5',
+    generation: 'claude-sonnet-4-5',
+  },
+
+  /**
+   * @param {Object} settings - app AI settings
+   * @returns {{apiKey: string}|null} connection, or null when not configured
+   */
+  connect: ({ apiKey }) => (apiKey ? { apiKey } : null),
+
+  /**
+   * With `onToken` the reply is streamed over SSE.
+   * @param {import('../llmService').CompletionRequest} request
+   * @returns {Promise<string>} the model's reply text
+   */
+  complete: async ({ apiKey, model, system, messages, image, maxTokens, temperature, onToken, onUsage, signal }) => {
+    const response = await fetch(API_URL, {
+      signal,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION,
+        // Keys are user-supplied and stay in their browser
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+        temperature,
+        ...(system && { system }),
+        messages: messages.map((message, index) => ({
+          role: message.role,
+          content: image && index === messages.length - 1
+            ? [
+              { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } },
+              { type: 'text', text: message.content },
+            ]
+            : message.content,
+        })),
+        ...(onToken && { stream: true }),
+      }),
+    }).catch(networkError('Anthropic'));
+
+    if (onToken && response.ok) {
+      return readStreamedMessage(response, { onToken, onUsage });
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || data?.type === 'error') {
+      throw responseError(response, data?.error?.message || `Anthropic request failed (${response.status})`, data?.error?.type);
+    }
+
+    if (data?.usage) onUsage?.(toUsage(data.usage));
+    const text = (data?.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    if (!text || data?.stop_reason === 'refusal') {
+      throw emptyResponseError(data?.stop_reason);
+    }
+    return text;
+  },
+};
+
+// Input tokens are counted in message_start, output tokens in the final message_delta
+const readStreamedMessage = async (response, { onToken, onUsage }) => {
+  let text = '';
+  let stopReason = null;
+  let usage = {};
+  await readEventStream(response, (event) => {
+    if (event.type === 'error') throw new MalformedOutputError(event.error?.message || 'Anthropic stream failed');
+    if (event.type === 'message_start') usage = { ...event.message?.usage };
+    if (event.type === 'message_delta') {
+      stopReason = event.delta?.stop_reason || stopReason;
+      usage = { ...usage, ...event.usage };
+    }
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      text += event.delta.text;
+      onToken(event.delta.text);
+    }
+  });
+
+  if (usage.input_tokens !== undefined) onUsage?.(toUsage(usage));
+  if (!text || stopReason === 'refusal') {
+    throw emptyResponseError(stopReason);
+  }
+  return text;
+};
+
+// Cache reads and writes are billed like input in this estimate
+const toUsage = (usage) => ({
+  inputTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+  outputTokens: usage.output_tokens || 0,
+});
+
+const emptyResponseError = (stopReason) => (stopReason === 'refusal'
+  ? new ContentFilteredError('Claude declined to answer this request')
+  : new MalformedOutputError(`Anthropic returned an empty response${stopReason ? ` (${stopReason})` : ''}`));
@@ -0,0 +1,43 @@
+/**
+ * Custom Provider
+ * Any self-hosted server speaking the OpenAI Chat Completions protocol
+ * (Ollama, vLLM, LM Studio, ...). The base URL, model and an optional key
+ * come from settings, so diagrams never leave the user's network.
+ */
+
+import { requestChatCompletion } from './openaiProvider';
+
+export const customProvider = {
+  id: 'custom',
+  label: 'Custom endpoint',
+  // The configured model serves every task, so there is no catalog
+  models: [],
+  defaultModels: {},
+
+  /**
+   * @param {{apiKey?: string, customBaseUrl?: string, customModel?: string, customVision?: boolean}} settings
+   * @returns {Object|null} connection, or null until a base URL and model are set
+   */
+  connect: ({ apiKey, customBaseUrl, customModel, customVision }) => {
+    if (!customBaseUrl?.trim() || !customModel?.trim()) return null;
+    return {
+      apiKey: apiKey || '',
+      url: toCompletionsUrl(customBaseUrl),
+      model: customModel.trim(),
+      // response_format support varies between servers, so JSON stays prompt-driven
+      capabilities: { vision: Boolean(customVision), jsonMode: false },
+    };
+  },
+
+  /**
+   * @param {import('../llmService').CompletionRequest} request
+   * @returns {Promise<string>} the model's reply text
+   */
+  complete: ({ url, ...request }) => requestChatCompletion(url, request, 'Custom endpoint'),
+};
+
+// Accepts either the API root (`http://localhost:11434/v1`) or the full completions URL
+const toCompletionsUrl = (baseUrl) => {
+  const trimmed = baseUrl.trim().replace(/\/+$/, '');
+  return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`;
+};
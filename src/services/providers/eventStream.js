@@ -0,0 +1,50 @@
+/**
+ * Event Stream
+ * Reads a server-sent events response body, the format every provider uses
+ * for streamed completions.
+ */
+
+/**
+ * Calls `onEvent` with the parsed JSON of each `data:` line as it arrives.
+ * The OpenAI `[DONE]` sentinel and non-JSON lines are skipped.
+ * @param {Response} response - fetch response with a streaming body
+ * @param {(event: Object) => void} onEvent - may throw to abort reading
+ * @returns {Promise<void>} resolves when the stream ends
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    onEvent(event);
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      // Events can be split across chunks; keep the unfinished last line
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+  } catch (error) {
+    // Stop the download when a handler rejects an event
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Gemini Provider
+ * Adapter for the Google Gemini generateContent API.
+ */
+
+import { readEventStream } from './eventStream';
+import { ContentFilteredError, MalformedOutputError, networkError, responseError } from '../errors';
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+// Finish reasons that mean the response was withheld
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  models: [
+    { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', vision: true, jsonMode: true, price: { input: 1.25, output: 10 } },
+    { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', vision: true, jsonMode: true, price: { input: 0.3, output: 2.5 } },
+    { id: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash', vision: true, jsonMode: true, price: { input: 0.1, output: 0.4 } },
+  ],
+  defaultModels: {
+    vision: 'gemini-2.5-pro',
+    chat: 'gemini-2.0-flash',
+    generation: 'gemini-2.5-pro',
+  },
+
+  /**
+   * @param {Object} settings - app AI settings
+   * @returns {{apiKey: string}|null} connection, or null when not configured
+   */
+  connect: ({ apiKey }) => (apiKey ? { apiKey } : null),
+
+  /**
+   * With `onToken` the reply is streamed via streamGenerateContent.
+   * @param {import('../llmService').CompletionRequest} request
+   * @returns {Promise<string>} the model's reply text
+   */
+  complete: async ({ apiKey, model, system, messages, image, json, maxTokens, temperature, onToken, onUsage, signal }) => {
+    const endpoint = onToken
+      ? `${API_BASE}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+      : `${API_BASE}/${model}:generateContent?key=${apiKey}`;
+    const response = await fetch(endpoint, {
+      signal,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+        contents: messages.map((message, index) => ({
+          // Gemini calls the assistant role "model"
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [
+            { text: message.content },
+            ...(image && index === messages.length - 1
+              ? [{ inline_data: { mime_type: image.mimeType, data: image.data } }]
+              : []),
+          ],
+        })),
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          temperature,
+          ...(json && { responseMimeType: 'application/json' }),
+        },
+      }),
+    }).catch(networkError('Gemini'));
+
+    if (onToken && response.ok) {
+      return readStreamedContent(response, { onToken, onUsage });
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || data?.error) {
+      throw responseError(response, data?.error?.message || `Gemini request failed (${response.status})`, data?.error?.status);
+    }
+
+    if (data?.usageMetadata) onUsage?.(toUsage(data.usageMetadata));
+    const parts = data?.candidates?.[0]?.content?.parts;
+    if (!parts?.length) {
+      throw emptyResponseError(data);
+    }
+    return partsText(parts);
+  },
+};
+
+// Each streamed event is a partial generateContent response; usage totals
+// are cumulative, so the last event's count covers the whole reply
+const readStreamedContent = async (response, { onToken, onUsage }) => {
+  let text = '';
+  let last = null;
+  await readEventStream(response, (event) => {
+    if (event.error) throw new MalformedOutputError(event.error.message);
+    last = event;
+    const delta = partsText(event.candidates?.[0]?.content?.parts || []);
+    if (delta) {
+      text += delta;
+      onToken(delta);
+    }
+  });
+
+  if (last?.usageMetadata) onUsage?.(toUsage(last.usageMetadata));
+  if (!text) {
+    throw emptyResponseError(last);
+  }
+  return text;
+};
+
+// Thinking tokens of 2.5 models are billed as output
+const toUsage = (usage) => ({
+  inputTokens: usage.promptTokenCount || 0,
+  outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+});
+
+const partsText = (parts) => parts.map((part) => part.text || '').join('');
+
+const emptyResponseError = (data) => {
+  const blockReason = data?.promptFeedback?.blockReason;
+  const finishReason = data?.candidates?.[0]?.finishReason;
+  if (blockReason || BLOCKED_FINISH_REASONS.includes(finishReason)) {
+    return new ContentFilteredError(`Gemini blocked the ${blockReason ? 'request' : 'response'} (${blockReason || finishReason})`);
+  }
+  return new MalformedOutputError(`Gemini returned an empty response${finishReason ? ` (${finishReason})` : ''}`);
+};
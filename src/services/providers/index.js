@@ -0,0 +1,38 @@
+/**
+ * LLM provider registry. Each adapter exposes:
+ * - `id` and `label`
+ * - `models`: catalog of `{id, label, vision, jsonMode, price}` entries, with
+ *   `price` in USD per million `{input, output}` tokens
+ * - `defaultModels`: model id per task (vision, chat, generation)
+ * - `connect(settings)`: connection details merged into every request, or
+ *   null when unconfigured; may carry `model` and `capabilities` overrides
+ * - `complete(request)`: see llmService for the request shape; reports token
+ *   counts through `request.onUsage` when the response includes them
+ * Register new adapters here.
+ */
+
+import { anthropicProvider } from './anthropicProvider';
+import { customProvider } from './customProvider';
+import { geminiProvider } from './geminiProvider';
+import { openaiProvider } from './openaiProvider';
+import { replayProvider } from './replayProvider';
+
+export const PROVIDERS = {
+  [openaiProvider.id]: openaiProvider,
+  [geminiProvider.id]: geminiProvider,
+  [anthropicProvider.id]: anthropicProvider,
+  [customProvider.id]: customProvider,
+  [replayProvider.id]: replayProvider,
+};
+
+export const DEFAULT_PROVIDER = openaiProvider.id;
+
+export const getProvider = (id) => PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+
+/**
+ * Catalog entry for a model, or null for models the catalog does not know.
+ * @param {string} providerId
+ * @param {string} modelId
+ * @returns {{id: string, label: string, vision: boolean, jsonMode: boolean, price: {input: number, output: number}}|null}
+ */
+export const getModelInfo = (providerId, modelId) => getProvider(providerId).models.find((model) => model.id === modelId) || null;
@@ -0,0 +1,131 @@
+/**
+ * OpenAI Provider
+ * Adapter for the OpenAI Chat Completions API. The request code is shared with
+ * OpenAI-compatible servers (see customProvider).
+ */
+
+import { readEventStream } from './eventStream';
+import { ContentFilteredError, MalformedOutputError, networkError, responseError } from '../errors';
+
+const API_URL = 'https://api.openai.com/v1/chat/completions';
+
+export const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+  models: [
+    { id: 'gpt-4o', label: 'GPT-4o', vision: true, jsonMode: true, price: { input: 2.5, output: 10 } },
+    { id: 'gpt-4o-mini', label: 'GPT-4o mini', vision: true, jsonMode: true, price: { input: 0.15, output: 0.6 } },
+    { id: 'gpt-4.1', label: 'GPT-4.1', vision: true, jsonMode: true, price: { input: 2, output: 8 } },
+    { id: 'gpt-4.1-mini', label: 'GPT-4.1 mini', vision: true, jsonMode: true, price: { input: 0.4, output: 1.6 } },
+  ],
+  defaultModels: {
+    vision: 'gpt-4o',
+    chat: 'gpt-4o',
+    generation: 'gpt-4o',
+  },
+
+  /**
+   * @param {Object} settings - app AI settings
+   * @returns {{apiKey: string}|null} connection, or null when not configured
+   */
+  connect: ({ apiKey }) => (apiKey ? { apiKey } : null),
+
+  /**
+   * @param {import('../llmService').CompletionRequest} request
+   * @returns {Promise<string>} the model's reply text
+   */
+  complete: (request) => requestChatCompletion(API_URL, request, 'OpenAI'),
+};
+
+/**
+ * Sends a Chat Completions request to an OpenAI-style endpoint. With
+ * `onToken` the reply is streamed over SSE.
+ * @param {string} url - full `/chat/completions` URL
+ * @param {import('../llmService').CompletionRequest} request
+ * @param {string} label - provider name used in error messages
+ * @returns {Promise<string>}
+ */
+export const requestChatCompletion = async (url, { apiKey, model, system, messages, image, json, maxTokens, temperature, onToken, onUsage, signal }, label) => {
+  const response = await fetch(url, {
+    signal,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+    },
+    body: JSON.stringify({
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...toOpenAIMessages(messages, image),
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      ...(json && { response_format: { type: 'json_object' } }),
+      // Usage arrives in a final chunk only when asked for
+      ...(onToken && { stream: true, stream_options: { include_usage: true } }),
+    }),
+  }).catch(networkError(label));
+
+  if (onToken && response.ok) {
+    return readStreamedCompletion(response, { onToken, onUsage }, label);
+  }
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok || data?.error) {
+    const message = typeof data?.error === 'string' ? data.error : data?.error?.message;
+    throw responseError(response, message || `${label} request failed (${response.status})`, data?.error?.code);
+  }
+
+  if (data?.usage) onUsage?.(toUsage(data.usage));
+  const choice = data?.choices?.[0];
+  if (typeof choice?.message?.content !== 'string' || !choice.message.content) {
+    throw emptyResponseError(label, choice?.finish_reason);
+  }
+  return choice.message.content;
+};
+
+const readStreamedCompletion = async (response, { onToken, onUsage }, label) => {
+  let text = '';
+  let finishReason = null;
+  await readEventStream(response, (event) => {
+    if (event.error) {
+      throw new MalformedOutputError(typeof event.error === 'string' ? event.error : event.error.message);
+    }
+    if (event.usage) onUsage?.(toUsage(event.usage));
+    finishReason = event.choices?.[0]?.finish_reason || finishReason;
+    const delta = event.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onToken(delta);
+    }
+  });
+
+  if (finishReason === 'content_filter' || !text) {
+    throw emptyResponseError(label, finishReason);
+  }
+  return text;
+};
+
+const toUsage = (usage) => ({
+  inputTokens: usage.prompt_tokens || 0,
+  outputTokens: usage.completion_tokens || 0,
+});
+
+const emptyResponseError = (label, finishReason) => (finishReason === 'content_filter'
+  ? new ContentFilteredError(`${label} filtered the response`)
+  : new MalformedOutputError(`${label} returned an empty response${finishReason ? ` (${finishReason})` : ''}`));
+
+// The image rides along with the last user message
+const toOpenAIMessages = (messages, image) => messages.map((message, index) => {
+  if (!image || index !== messages.length - 1) {
+    return { role: message.role, content: message.content };
+  }
+  return {
+    role: message.role,
+    content: [
+      { type: 'text', text: message.content },
+      { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } },
+    ],
+  };
+});
@@ -0,0 +1,58 @@
+/**
+ * Replay Provider
+ * Serves replies recorded in a fixture file (see fixtureService) instead of
+ * calling a model, matched by request fingerprint. Streamed requests get the
+ * recorded text back in small pieces, so the UI behaves as it does live.
+ */
+
+import { FixtureMissingError } from '../errors';
+import { fingerprintRequest } from '../fixtureService';
+
+// Pause between streamed words, enough to see the reply come in
+const TOKEN_DELAY_MS = 15;
+
+export const replayProvider = {
+  id: 'replay',
+  label: 'Replay',
+  // Recordings come from any provider and model
+  models: [],
+  defaultModels: {},
+
+  /**
+   * Always connects, even before a fixture file is loaded: an unconfigured
+   * provider would fall back to mock data, and replay runs must fail loudly
+   * rather than quietly use other responses.
+   * @param {{replayFixture?: Object}} settings
+   * @returns {Object} connection
+   */
+  connect: ({ replayFixture }) => ({
+    responses: replayFixture?.responses || null,
+    model: 'replay',
+    // JSON mode keeps system prompts as recorded, so fingerprints match
+    capabilities: { vision: true, jsonMode: true },
+  }),
+
+  /**
+   * @param {import('../llmService').CompletionRequest} request
+   * @returns {Promise<string>} the recorded reply text
+   */
+  complete: async ({ responses, onToken, signal, ...request }) => {
+    if (!responses) {
+      throw new FixtureMissingError('No fixture file is loaded, so there is nothing to replay');
+    }
+    const entry = responses[await fingerprintRequest(request)];
+    if (!entry) {
+      throw new FixtureMissingError('The fixture file has no recording of this request');
+    }
+    if (onToken) await replayTokens(entry.response, onToken, signal);
+    return entry.response;
+  },
+};
+
+const replayTokens = async (text, onToken, signal) => {
+  for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+    if (signal?.aborted) throw new DOMException('The operation was aborted', 'AbortError');
+    onToken(piece);
+    await new Promise((resolve) => setTimeout(resolve, TOKEN_DELAY_MS));
+  }
+};
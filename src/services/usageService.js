@@ -0,0 +1,195 @@
+/**
+ * Usage Service
+ * Token usage and cost of AI requests. llmService records every completed
+ * request here; totals are kept for the current design, per calendar month
+ * and overall, and persist in localStorage. Cost comes from the price table:
+ * the user's overrides, then the model catalog's list prices.
+ */
+
+import { BudgetExceededError, UnpricedModelError } from './errors';
+import { getModelInfo } from './providers';
+
+const STORAGE_KEY = 'app_usage';
+// Only the latest requests are listed; totals cover every request
+const MAX_RECENT_REQUESTS = 50;
+// Rough prompt size before sending: English text averages about four
+// characters per token, and no provider bills a single image above ~1600
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1600;
+
+/**
+ * @typedef {Object} UsageRecord
+ * @property {number} at - timestamp
+ * @property {string} provider
+ * @property {string} model
+ * @property {string} task - 'vision', 'chat' or 'generation'
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number|null} cost - USD, or null when the model has no price
+ */
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cost - USD
+ */
+
+const emptyTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+// Budgets follow the user's local calendar month, e.g. '2025-03'
+const monthKey = (time = Date.now()) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const loadStored = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored) return { recent: [], total: emptyTotals(), months: {}, ...stored };
+  } catch {
+    // Fall through to an empty log
+  }
+  return { recent: [], total: emptyTotals(), months: {} };
+};
+
+// The design total is per page session: it resets with "Start Over" or an opened project
+let state = { ...loadStored(), design: emptyTotals() };
+const listeners = new Set();
+
+const update = (next) => {
+  state = next;
+  const { recent, total, months } = state;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ recent, total, months }));
+  } catch (error) {
+    console.warn('usageService: could not save usage', error);
+  }
+  listeners.forEach((listener) => listener());
+};
+
+const addTo = (totals, record) => ({
+  requests: totals.requests + 1,
+  inputTokens: totals.inputTokens + record.inputTokens,
+  outputTokens: totals.outputTokens + record.outputTokens,
+  cost: totals.cost + (record.cost || 0),
+});
+
+/**
+ * Key of a model in the price overrides. Models are priced per provider, as a
+ * self-hosted `llama3` costs nothing like a hosted model of the same name.
+ * @param {string} providerId
+ * @param {string} modelId
+ * @returns {string} e.g. 'custom:llama3'
+ */
+export const priceKey = (providerId, modelId) => `${providerId}:${modelId}`;
+
+/**
+ * Price per million tokens for a model: the user's override, then the catalog.
+ * @param {string} providerId
+ * @param {string} modelId
+ * @param {Object<string, {input: number, output: number}>} [prices] - overrides by priceKey
+ * @returns {{input: number, output: number}|null} null when the model has no known price
+ */
+export const priceFor = (providerId, modelId, prices = {}) => prices[priceKey(providerId, modelId)] || getModelInfo(providerId, modelId)?.price || null;
+
+/**
+ * Records a completed request and returns it with its cost.
+ * @param {{provider: string, model: string, task: string, inputTokens: number, outputTokens: number}} usage
+ * @param {Object} [prices] - price overrides from settings
+ * @returns {UsageRecord}
+ */
+export const recordUsage = (usage, prices) => {
+  const price = priceFor(usage.provider, usage.model, prices);
+  const record = {
+    ...usage,
+    at: Date.now(),
+    cost: price ? (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6 : null,
+  };
+  const month = monthKey(record.at);
+  update({
+    recent: [record, ...state.recent].slice(0, MAX_RECENT_REQUESTS),
+    total: addTo(state.total, record),
+    months: { ...state.months, [month]: addTo(state.months[month] || emptyTotals(), record) },
+    design: addTo(state.design, record),
+  });
+  return record;
+};
+
+/**
+ * Current usage snapshot; a new object after every change.
+ * @returns {{recent: UsageRecord[], total: UsageTotals, months: Object<string, UsageTotals>, design: UsageTotals}}
+ */
+export const getUsage = () => state;
+
+/**
+ * Calls `listener` after every change.
+ * @param {() => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeUsage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Totals for the current calendar month.
+ * @returns {UsageTotals}
+ */
+export const getMonthUsage = () => state.months[monthKey()] || emptyTotals();
+
+/** Starts counting a new design from zero. */
+export const startDesign = () => update({ ...state, design: emptyTotals() });
+
+/** Forgets all recorded usage, including this month's spend. */
+export const resetUsage = () => update({ recent: [], total: emptyTotals(), months: {}, design: emptyTotals() });
+
+/**
+ * Estimates the input tokens of a request from its prompt length, as the
+ * provider only reports the real count once the request has been billed.
+ * @param {{system?: string, messages?: Array<{content: string}>, image?: Object}} request
+ * @returns {number}
+ */
+export const estimateInputTokens = ({ system, messages = [], image }) => {
+  const characters = (system || '').length + messages.reduce((sum, message) => sum + String(message.content || '').length, 0);
+  return Math.ceil(characters / CHARS_PER_TOKEN) + (image ? IMAGE_TOKENS : 0);
+};
+
+/**
+ * Throws when this month's spend has reached the budget, or when the request
+ * could take it past the budget: its estimated prompt and longest reply
+ * (`maxTokens`) are priced in up front, as both are only billed after the
+ * reply has been generated. With a budget set, models without a price are
+ * refused, as their spend would not count.
+ * @param {number} [monthlyBudget] - USD; no cap when empty or 0
+ * @param {Object} request - the request about to be sent (see llmService's
+ *   CompletionRequest), with `provider` and the price overrides from settings as `prices`
+ */
+export const checkBudget = (monthlyBudget, request) => {
+  if (!(monthlyBudget > 0)) return;
+  const spent = getMonthUsage().cost;
+  if (spent >= monthlyBudget) {
+    throw new BudgetExceededError(`This month's AI spend ($${spent.toFixed(2)}) has reached the $${monthlyBudget} budget`);
+  }
+
+  const price = priceFor(request.provider, request.model, request.prices);
+  if (!price) {
+    throw new UnpricedModelError(`${request.model} has no price, so its spend cannot be held to the $${monthlyBudget} budget`);
+  }
+  const reserved = (estimateInputTokens(request) * price.input + (request.maxTokens || 0) * price.output) / 1e6;
+  if (spent + reserved > monthlyBudget) {
+    throw new BudgetExceededError(`This request could cost up to ${formatCost(reserved)}, more than the ${formatCost(monthlyBudget - spent)} left of this month's $${monthlyBudget} budget`);
+  }
+};
+
+/**
+ * Formats a USD amount, keeping sub-cent costs visible.
+ * @param {number|null} cost
+ * @returns {string}
+ */
+export const formatCost = (cost) => {
+  if (cost === null || cost === undefined) return '—';
+  if (cost > 0 && cost < 0.01) return `$${cost.toFixed(4)}`;
+  return `$${cost.toFixed(2)}`;
+};
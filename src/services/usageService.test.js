@@ -0,0 +1,48 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { checkBudget, priceFor, recordUsage, resetUsage } from './usageService';
+
+const request = { provider: 'openai', model: 'gpt-4o', maxTokens: 4000 };
+
+describe('checkBudget', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    resetUsage();
+  });
+
+  it('does nothing without a budget', () => {
+    expect(() => checkBudget(0, { ...request, model: 'unknown' })).not.toThrow();
+  });
+
+  it('refuses requests once the budget is spent', () => {
+    recordUsage({ ...request, task: 'chat', inputTokens: 0, outputTokens: 100000 });
+    expect(() => checkBudget(1, request)).toThrow(expect.objectContaining({ name: 'BudgetExceededError' }));
+  });
+
+  it('refuses a request whose longest reply could go past the budget', () => {
+    // 4000 output tokens of gpt-4o cost up to $0.04
+    recordUsage({ ...request, task: 'chat', inputTokens: 0, outputTokens: 97000 });
+    expect(() => checkBudget(1, { ...request, maxTokens: 1000 })).not.toThrow();
+    expect(() => checkBudget(1, request)).toThrow(expect.objectContaining({ name: 'BudgetExceededError' }));
+  });
+
+  it('prices the prompt and any image into the reservation', () => {
+    // $0.03 left; 2400 reply tokens cost $0.024, a 2000-token prompt $0.005 and an image $0.004
+    recordUsage({ ...request, task: 'chat', inputTokens: 0, outputTokens: 97000 });
+    const prompted = { ...request, maxTokens: 2400, system: 'x'.repeat(4000), messages: [{ role: 'user', content: 'x'.repeat(4000) }] };
+    expect(() => checkBudget(1, prompted)).not.toThrow();
+    expect(() => checkBudget(1, { ...prompted, image: { mimeType: 'image/png', data: '' } })).toThrow(expect.objectContaining({ name: 'BudgetExceededError' }));
+  });
+
+  it('refuses models without a price unless one is entered', () => {
+    const custom = { provider: 'custom', model: 'llama3', maxTokens: 4000 };
+    expect(() => checkBudget(5, custom)).toThrow(expect.objectContaining({ name: 'UnpricedModelError' }));
+    expect(() => checkBudget(5, { ...custom, prices: { 'custom:llama3': { input: 0, output: 0 } } })).not.toThrow();
+  });
+
+  it('applies price overrides to their own provider only', () => {
+    const prices = { 'custom:llama3': { input: 0, output: 0 } };
+    expect(priceFor('custom', 'llama3', prices)).toEqual({ input: 0, output: 0 });
+    expect(priceFor('openai', 'llama3', prices)).toBeNull();
+    expect(priceFor('openai', 'gpt-4o', { 'custom:gpt-4o': { input: 0, output: 0 } })).toEqual({ input: 2.5, output: 10 });
+  });
+});